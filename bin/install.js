@@ -3,24 +3,93 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const crypto = require('crypto');
-
-// Colors
-const cyan = '\x1b[36m';
-const green = '\x1b[32m';
-const yellow = '\x1b[33m';
-const dim = '\x1b[2m';
-const reset = '\x1b[0m';
+const installer = require('../lib/installer');
+const bundle = require('../lib/bundle');
+const { HOOKS, OPTIONAL_HOOKS } = require('../lib/settings');
+const { REPORT_FORMATS, renderReport } = require('../lib/report');
+const { renderDashboard } = require('../lib/dashboard');
+const { toRun, evaluateGate } = require('../lib/gate');
+const { parseRange } = require('../hooks/infra-audit-semver');
+const { readRegistry, selectTemplates, setProvider } = require('../infra/scripts/blueprints');
+const projectConfig = require('../infra/scripts/project-config');
+const historySync = require('../infra/scripts/history-sync');
+const { HISTORY_DIR, getProjectName, validateHistory, findProjectHistory, listHistories, getRuns, migrateAll } = require('../infra/scripts/history');
+
+// Colors — off when stdout isn't a terminal or NO_COLOR is set (https://no-color.org)
+const useColor = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+const cyan = useColor ? '\x1b[36m' : '';
+const green = useColor ? '\x1b[32m' : '';
+const yellow = useColor ? '\x1b[33m' : '';
+const red = useColor ? '\x1b[31m' : '';
+const dim = useColor ? '\x1b[2m' : '';
+const reset = useColor ? '\x1b[0m' : '';
 
 // Get version from package.json
 const pkg = require('../package.json');
+const { MANIFEST_NAME, PATCHES_DIR_NAME, CONFIG_NAME, getConfigDir, readManifest, readInstallConfig } = installer;
 
 // Parse args
 const args = process.argv.slice(2);
+const COMMANDS = ['install', 'doctor', 'status', 'report', 'dashboard', 'gate', 'blueprints', 'config', 'migrate-history', 'sync-history', 'export-bundle'];
+const CONFIG_ACTIONS = ['validate'];
+const CHANNELS = ['latest', 'next'];
+const command = args[0] && !args[0].startsWith('-') ? args[0] : 'install';
 const hasGlobal = args.includes('--global') || args.includes('-g');
 const hasLocal = args.includes('--local') || args.includes('-l');
 const hasUninstall = args.includes('--uninstall') || args.includes('-u');
 const hasHelp = args.includes('--help') || args.includes('-h');
+const hasRollback = args.includes('--rollback');
+const hasDryRun = args.includes('--dry-run') || args.includes('--diff') || args.includes('-n');
+const hasJson = args.includes('--json');
+const hasQuiet = args.includes('--quiet') || args.includes('-q');
+const hasRepair = args.includes('--repair');
+const hasForce = args.includes('--force');
+const hasUnpin = args.includes('--unpin');
+const hasAll = args.includes('--all');
+const hasNoOverlay = args.includes('--no-overlay');
+const hasPurge = args.includes('--purge');
+const hasKeepPatches = args.includes('--keep-patches');
+const hasAllowUnsigned = args.includes('--allow-unsigned');
+
+// Value following an option (e.g. --pin ^1.2), or given inline (--pin=^1.2)
+function argValue(name) {
+  const inline = args.find(a => a.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+  const i = args.indexOf(name);
+  return i !== -1 && args[i + 1] && !args[i + 1].startsWith('-') ? args[i + 1] : undefined;
+}
+const pinArg = argValue('--pin');
+const channelArg = argValue('--channel');
+const formatArg = argValue('--format');
+const outputArg = argValue('--output');
+const minScoreArg = argValue('--min-score');
+const baselineArg = argValue('--baseline');
+const findingsArg = argValue('--findings');
+const overlayArg = argValue('--overlay');
+const ciArg = argValue('--ci');
+const depsArg = argValue('--deps');
+const hooksArg = argValue('--hooks');
+const fromBundleArg = argValue('--from-bundle');
+const signKeyArg = argValue('--sign-key');
+const verifyKeyArg = argValue('--verify-key');
+const hasHooksOption = args.includes('--hooks') || hooksArg !== undefined;
+// --hooks a,b — or none to register only the update check
+const hookNames = hooksArg === 'none' ? [] : (hooksArg || '').split(',').map(h => h.trim()).filter(Boolean);
+// config validate [file]
+const configAction = command === 'config' && args[1] && !args[1].startsWith('-') ? args[1] : 'validate';
+const configFileArg = command === 'config' && args[2] && !args[2].startsWith('-') ? args[2] : undefined;
+// sync-history [sync|push|pull]
+const syncMode = command === 'sync-history' && args[1] && !args[1].startsWith('-') ? args[1] : 'sync';
+const storeArg = argValue('--store');
+
+// Project paths or globs following --local (e.g. --local services/*)
+const localPaths = [];
+if (hasLocal) {
+  const start = Math.max(args.indexOf('--local'), args.indexOf('-l')) + 1;
+  for (let i = start; i < args.length && !args[i].startsWith('-'); i++) {
+    localPaths.push(args[i]);
+  }
+}
 
 const banner = '\n' +
   cyan + '  ╔══════════════════════════════════════╗\n' +
@@ -29,15 +98,85 @@ const banner = '\n' +
   '\n' +
   '  python-infra-audit-cc ' + dim + 'v' + pkg.version + reset + '\n';
 
-console.log(banner);
+// Keep --json output and reports written to stdout machine-readable
+if (!hasJson && !hasQuiet && !(command === 'report' && !outputArg)) {
+  console.log(banner);
+}
 
 // Show help if requested
 if (hasHelp) {
-  console.log(`  ${yellow}Usage:${reset} npx python-infra-audit-cc [options]\n
+  console.log(`  ${yellow}Usage:${reset} npx python-infra-audit-cc [command] [options]\n
+  ${yellow}Commands:${reset}
+    ${cyan}install${reset}           Install or upgrade (default)
+    ${cyan}doctor${reset}            Check an existing install against its manifest
+    ${cyan}status${reset}            Show audit score, trend and findings for this project
+    ${cyan}report${reset}            Export the latest audit as SARIF, JUnit XML or Markdown
+    ${cyan}dashboard${reset}         Write an offline HTML dashboard of every audited project
+    ${cyan}gate${reset}              Fail CI when the score drops or new critical findings appear
+    ${cyan}blueprints${reset}        Show or select this project's CI and dependency-update templates
+    ${cyan}config validate${reset} [file]
+                      Check this project's .infra-audit.json or [tool.infra-audit]
+    ${cyan}migrate-history${reset}   Upgrade every audit history file to the current format
+    ${cyan}sync-history${reset} [push|pull]
+                      Share this project's audit runs through the team history store
+    ${cyan}export-bundle${reset}     Package this version as a verifiable .tgz for offline installs
+
   ${yellow}Options:${reset}
     ${cyan}-g, --global${reset}      Install globally to ~/.claude/ (default)
     ${cyan}-l, --local${reset}       Install locally to ./.claude/ (this project only)
-    ${cyan}-u, --uninstall${reset}   Remove all infra:audit files
+                      Followed by project paths or globs: one .claude/ per project
+    ${cyan}-u, --uninstall${reset}   Remove all infra:audit files (locally modified ones are archived)
+        ${cyan}--purge${reset}       uninstall: also remove audit history and infra-audit-config.json
+        ${cyan}--keep-patches${reset}
+                      uninstall: keep the infra-audit-local-patches/ backups
+    ${cyan}-n, --dry-run${reset}     Preview every change as a unified diff without writing
+        ${cyan}--diff${reset}        Alias for --dry-run
+        ${cyan}--rollback${reset}    Restore the install that the last install replaced
+        ${cyan}--repair${reset}      doctor: fix the problems found
+        ${cyan}--all${reset}         status, sync-history: every project with audit history
+        ${cyan}--store${reset} <location>
+                      sync-history: directory, git+<url>#<branch> or s3://<bucket>/<prefix>
+                      (default: historySync.store in ~/.claude/${CONFIG_NAME})
+        ${cyan}--format${reset} <f>  report: sarif, junit or markdown (default)
+        ${cyan}--output${reset} <file>
+                      report: write to a file instead of stdout
+                      dashboard: HTML file (default infra-audit-dashboard.html)
+                      export-bundle: bundle file (default ${bundle.getBundleName()})
+        ${cyan}--sign-key${reset} <pem>
+                      export-bundle: sign the bundle with this private key (required)
+        ${cyan}--from-bundle${reset} <file>
+                      Install the version in an export-bundle file, after verifying it
+        ${cyan}--verify-key${reset} <pem>
+                      --from-bundle: require a valid signature from this public key (required)
+        ${cyan}--allow-unsigned${reset}
+                      export-bundle, --from-bundle: skip signing / the signature check,
+                      trusting the bundle's own checksums
+        ${cyan}--min-score${reset} <n>
+                      gate: fail below this score (default: gate.minScore in config,
+                      else the project's target_score)
+        ${cyan}--baseline${reset} <file>
+                      gate: compare against a saved history or findings file
+        ${cyan}--findings${reset} <file>
+                      gate: check a findings JSON instead of the latest run
+        ${cyan}--ci${reset} <provider>
+                      blueprints: github-actions, gitlab-ci or circleci
+        ${cyan}--deps${reset} <provider>
+                      blueprints: renovate or dependabot
+        ${cyan}--json${reset}        Print one JSON result instead of progress output
+                      (install, uninstall, rollback, doctor, status, gate,
+                      blueprints, config, migrate-history, sync-history, export-bundle)
+    ${cyan}-q, --quiet${reset}       install, uninstall, rollback, doctor: only print warnings and errors
+        ${cyan}--channel${reset} <name>
+                      Follow the latest (default) or next release channel
+        ${cyan}--pin${reset} <range> Only accept versions in a semver range (e.g. ~1.2)
+        ${cyan}--unpin${reset}       Remove the version pin
+        ${cyan}--force${reset}       Install even if this version is outside the pin
+        ${cyan}--overlay${reset} <dir|package>
+                      Layer an organisation blueprint overlay on the blueprint
+        ${cyan}--no-overlay${reset}  Stop applying the blueprint overlay
+        ${cyan}--hooks${reset} <list>
+                      Also register optional hooks, comma-separated (none to remove them):
+${OPTIONAL_HOOKS.map(name => `                        ${cyan}${name}${reset}  ${HOOKS[name].description}`).join('\n')}
     ${cyan}-h, --help${reset}        Show this help message
 
   ${yellow}Examples:${reset}
@@ -50,6 +189,53 @@ if (hasHelp) {
     ${dim}# Install to current project only${reset}
     npx python-infra-audit-cc --local
 
+    ${dim}# Install into every service of a monorepo${reset}
+    npx python-infra-audit-cc --local services/*
+
+    ${dim}# Preview an upgrade without touching ~/.claude/${reset}
+    npx python-infra-audit-cc@latest --dry-run
+
+    ${dim}# Check the global install and fix what can be fixed${reset}
+    npx python-infra-audit-cc doctor --repair
+
+    ${dim}# Pin the team to approved 1.2.x releases${reset}
+    npx python-infra-audit-cc@1.2 --global --pin ~1.2
+
+    ${dim}# Apply your organisation's blueprint standards${reset}
+    npx python-infra-audit-cc --global --overlay ./acme-infra-standards
+
+    ${dim}# Install from a CI job and record what changed${reset}
+    npx python-infra-audit-cc --global --json > infra-audit-install.json
+
+    ${dim}# Carry a signed release to a machine without the npm registry${reset}
+    npx python-infra-audit-cc export-bundle --sign-key release.pem
+    tar -xzf ${bundle.getBundleName()}   ${dim}# on the offline machine${reset}
+    node package/bin/install.js --global --from-bundle ${bundle.getBundleName()} --verify-key release.pub.pem
+
+    ${dim}# Remind everyone when the project's audit is out of date${reset}
+    npx python-infra-audit-cc --global --hooks stale-audit,infra-edits
+
+    ${dim}# Audit status of every project, for scripts${reset}
+    npx python-infra-audit-cc status --all --json
+
+    ${dim}# Upload audit findings to GitHub code scanning${reset}
+    npx python-infra-audit-cc report --format sarif --output infra-audit.sarif
+
+    ${dim}# Fail the build if the infra score regressed${reset}
+    npx python-infra-audit-cc gate --min-score 8
+
+    ${dim}# See teammates' audits of this repo and share yours${reset}
+    npx python-infra-audit-cc sync-history --store git+git@github.com:acme/infra-history.git
+
+    ${dim}# Check the project's audit settings before committing them${reset}
+    npx python-infra-audit-cc config validate
+
+    ${dim}# Audit this GitLab project against the GitLab CI template${reset}
+    npx python-infra-audit-cc blueprints --ci gitlab-ci
+
+    ${dim}# Infra health of every audited repo, for tech leads${reset}
+    npx python-infra-audit-cc dashboard --output fleet.html
+
     ${dim}# Uninstall from global${reset}
     npx python-infra-audit-cc --global --uninstall
 
@@ -60,548 +246,1390 @@ if (hasHelp) {
 }
 
 // Validate args
+if (!COMMANDS.includes(command)) {
+  console.error(`  ${yellow}Unknown command: ${command}${reset} (see --help)`);
+  process.exit(1);
+}
+if (command === 'config' && !CONFIG_ACTIONS.includes(configAction)) {
+  console.error(`  ${yellow}Unknown config action: ${configAction}${reset} (use ${CONFIG_ACTIONS.join(', ')})`);
+  process.exit(1);
+}
 if (hasGlobal && hasLocal) {
   console.error(`  ${yellow}Cannot specify both --global and --local${reset}`);
   process.exit(1);
 }
+if (hasDryRun && (hasUninstall || hasRollback || !['install', 'migrate-history'].includes(command))) {
+  console.error(`  ${yellow}--dry-run is only supported for install and migrate-history${reset}`);
+  process.exit(1);
+}
+if (hasRollback && hasUninstall) {
+  console.error(`  ${yellow}Cannot specify both --rollback and --uninstall${reset}`);
+  process.exit(1);
+}
+if ((hasPurge || hasKeepPatches) && !hasUninstall) {
+  console.error(`  ${yellow}--purge and --keep-patches are only supported with --uninstall${reset}`);
+  process.exit(1);
+}
+if (hasUninstall && !hasGlobal && !hasLocal) {
+  console.error(`  ${yellow}--uninstall requires --global or --local${reset}`);
+  process.exit(1);
+}
+if (hasQuiet && !['install', 'doctor'].includes(command)) {
+  console.error(`  ${yellow}--quiet is only supported for install, uninstall, rollback and doctor${reset}`);
+  process.exit(1);
+}
+if (hasQuiet && hasJson) {
+  console.error(`  ${yellow}Cannot specify both --quiet and --json${reset}`);
+  process.exit(1);
+}
+if (hasJson && ['report', 'dashboard'].includes(command)) {
+  console.error(`  ${yellow}--json is not supported for ${command}${reset}`);
+  process.exit(1);
+}
+if (command === 'sync-history' && !historySync.MODES.includes(syncMode)) {
+  console.error(`  ${yellow}Unknown sync-history action: ${syncMode}${reset} (use ${historySync.MODES.join(', ')})`);
+  process.exit(1);
+}
+if (hasAll && !['status', 'sync-history'].includes(command)) {
+  console.error(`  ${yellow}--all is only supported for status and sync-history${reset}`);
+  process.exit(1);
+}
+if (args.includes('--format') && command !== 'report') {
+  console.error(`  ${yellow}--format is only supported for report${reset}`);
+  process.exit(1);
+}
+if (args.includes('--output') && !['report', 'dashboard', 'export-bundle'].includes(command)) {
+  console.error(`  ${yellow}--output is only supported for report, dashboard and export-bundle${reset}`);
+  process.exit(1);
+}
+if (args.includes('--format') && !REPORT_FORMATS.includes(formatArg)) {
+  console.error(`  ${yellow}--format must be one of: ${REPORT_FORMATS.join(', ')}${reset}`);
+  process.exit(1);
+}
+if (args.includes('--output') && !outputArg) {
+  console.error(`  ${yellow}--output requires a file path${reset}`);
+  process.exit(1);
+}
+if (['--min-score', '--baseline', '--findings'].some(a => args.includes(a)) && command !== 'gate') {
+  console.error(`  ${yellow}--min-score, --baseline and --findings are only supported for gate${reset}`);
+  process.exit(1);
+}
+for (const [name, value] of [['--baseline', baselineArg], ['--findings', findingsArg]]) {
+  if (args.includes(name) && !value) {
+    console.error(`  ${yellow}${name} requires a file path${reset}`);
+    process.exit(1);
+  }
+}
+if (args.includes('--min-score') && !(Number(minScoreArg) >= 0 && Number(minScoreArg) <= 10)) {
+  console.error(`  ${yellow}--min-score must be a number from 0 to 10${reset}`);
+  process.exit(1);
+}
+if (args.includes('--pin') && !pinArg) {
+  console.error(`  ${yellow}--pin requires a version range (e.g. --pin ~1.2)${reset}`);
+  process.exit(1);
+}
+if (pinArg && !parseRange(pinArg)) {
+  console.error(`  ${yellow}Invalid version range: ${pinArg}${reset}`);
+  process.exit(1);
+}
+if (pinArg && hasUnpin) {
+  console.error(`  ${yellow}Cannot specify both --pin and --unpin${reset}`);
+  process.exit(1);
+}
+if ((args.includes('--ci') || args.includes('--deps')) && command !== 'blueprints') {
+  console.error(`  ${yellow}--ci and --deps are only supported for blueprints${reset}`);
+  process.exit(1);
+}
+for (const [name, value] of [['--ci', ciArg], ['--deps', depsArg]]) {
+  if (args.includes(name) && !value) {
+    console.error(`  ${yellow}${name} requires a provider (see the blueprints command)${reset}`);
+    process.exit(1);
+  }
+}
+if (args.includes('--overlay') && !overlayArg) {
+  console.error(`  ${yellow}--overlay requires a directory or package name${reset}`);
+  process.exit(1);
+}
+if (overlayArg && hasNoOverlay) {
+  console.error(`  ${yellow}Cannot specify both --overlay and --no-overlay${reset}`);
+  process.exit(1);
+}
+if ((overlayArg || hasNoOverlay) && (command !== 'install' || hasUninstall || hasRollback)) {
+  console.error(`  ${yellow}--overlay and --no-overlay are only supported for install${reset}`);
+  process.exit(1);
+}
+if (hasHooksOption && !hooksArg) {
+  console.error(`  ${yellow}--hooks requires a comma-separated list (or none)${reset}`);
+  process.exit(1);
+}
+for (const name of hookNames) {
+  if (!OPTIONAL_HOOKS.includes(name)) {
+    console.error(`  ${yellow}Unknown hook: ${name}${reset} (use ${OPTIONAL_HOOKS.join(', ')}, or none)`);
+    process.exit(1);
+  }
+}
+if (hasHooksOption && (command !== 'install' || hasUninstall || hasRollback)) {
+  console.error(`  ${yellow}--hooks is only supported for install${reset}`);
+  process.exit(1);
+}
+if (args.includes('--store') && command !== 'sync-history') {
+  console.error(`  ${yellow}--store is only supported for sync-history${reset}`);
+  process.exit(1);
+}
+if (args.includes('--store') && !storeArg) {
+  console.error(`  ${yellow}--store requires a directory, git+<url> or s3:// location${reset}`);
+  process.exit(1);
+}
+for (const [name, value] of [['--from-bundle', fromBundleArg], ['--sign-key', signKeyArg], ['--verify-key', verifyKeyArg]]) {
+  if (args.includes(name) && !value) {
+    console.error(`  ${yellow}${name} requires a file path${reset}`);
+    process.exit(1);
+  }
+}
+if (fromBundleArg && (command !== 'install' || hasUninstall || hasRollback)) {
+  console.error(`  ${yellow}--from-bundle is only supported for install${reset}`);
+  process.exit(1);
+}
+if (verifyKeyArg && !fromBundleArg) {
+  console.error(`  ${yellow}--verify-key is only supported with --from-bundle${reset}`);
+  process.exit(1);
+}
+if (signKeyArg && command !== 'export-bundle') {
+  console.error(`  ${yellow}--sign-key is only supported for export-bundle${reset}`);
+  process.exit(1);
+}
+if (hasAllowUnsigned && !fromBundleArg && command !== 'export-bundle') {
+  console.error(`  ${yellow}--allow-unsigned is only supported for export-bundle and --from-bundle${reset}`);
+  process.exit(1);
+}
+if (args.includes('--channel') && !CHANNELS.includes(channelArg)) {
+  console.error(`  ${yellow}--channel must be one of: ${CHANNELS.join(', ')}${reset}`);
+  process.exit(1);
+}
 
 // ──────────────────────────────────────────────────────
 // Helpers
 // ──────────────────────────────────────────────────────
 
+// Progress output, silenced by --quiet
+const log = hasQuiet ? () => {} : console.log;
+// Output that needs attention — still shown (on stderr) with --quiet
+const warn = hasQuiet ? console.error : console.log;
+
 /**
- * Get the config directory path
+ * Short, human-friendly form of a config directory for output
  */
-function getConfigDir(isGlobal) {
-  if (isGlobal) {
-    if (process.env.CLAUDE_CONFIG_DIR) {
-      const dir = process.env.CLAUDE_CONFIG_DIR;
-      return dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(2)) : dir;
-    }
-    return path.join(os.homedir(), '.claude');
-  }
-  return path.join(process.cwd(), '.claude');
+function getLocationLabel(isGlobal, configDir) {
+  return isGlobal
+    ? configDir.replace(os.homedir(), '~')
+    : configDir.replace(process.cwd(), '.');
 }
 
 /**
- * Read and parse settings.json
+ * Expand `*` and `?` wildcards in a path pattern to existing directories
  */
-function readSettings(settingsPath) {
-  if (fs.existsSync(settingsPath)) {
-    try {
-      return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-    } catch (e) {
-      return {};
+function expandGlob(pattern) {
+  const absolute = path.resolve(pattern);
+  const { root } = path.parse(absolute);
+  let matches = [root];
+
+  for (const segment of absolute.slice(root.length).split(path.sep).filter(Boolean)) {
+    if (!/[*?]/.test(segment)) {
+      matches = matches.map(dir => path.join(dir, segment));
+      continue;
     }
+    const regex = new RegExp('^' + segment
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.') + '$');
+    matches = matches.flatMap(dir => {
+      try {
+        return fs.readdirSync(dir, { withFileTypes: true })
+          .filter(e => e.isDirectory() && !e.name.startsWith('.') && regex.test(e.name))
+          .map(e => path.join(dir, e.name))
+          .sort();
+      } catch {
+        return [];
+      }
+    });
   }
-  return {};
+
+  return matches.filter(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory());
 }
 
 /**
- * Write settings.json with proper formatting
+ * Human-readable channel and pin, e.g. "next channel, pinned to ~1.2"
  */
-function writeSettings(settingsPath, settings) {
-  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2) + '\n');
+function describePolicy(policy) {
+  return `${policy.channel} channel${policy.pin ? `, pinned to ${policy.pin}` : ''}`;
 }
 
+// ──────────────────────────────────────────────────────
+// Install
+// ──────────────────────────────────────────────────────
+
 /**
- * Compute SHA256 hash of file contents
+ * Print the dry-run file list followed by the unified diffs
  */
-function fileHash(filePath) {
-  const content = fs.readFileSync(filePath);
-  return crypto.createHash('sha256').update(content).digest('hex');
+function printPreview(preview) {
+  const symbols = {
+    create: `${green}+${reset}`,
+    update: `${yellow}~${reset}`,
+    unchanged: `${dim}=${reset}`,
+    'locally-modified': `${yellow}!${reset}`,
+    remove: `${red}-${reset}`,
+  };
+
+  for (const { file, status, note } of preview) {
+    const suffix = note ? ` ${dim}(${note})${reset}` : '';
+    log(`  ${symbols[status]} ${status.padEnd(16)} ${file}${suffix}`);
+  }
+
+  for (const { diff } of preview) {
+    if (!diff) continue;
+    log('');
+    for (const line of diff.replace(/\n$/, '').split('\n')) {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        log(`  ${dim}${line}${reset}`);
+      } else if (line.startsWith('@@')) {
+        log(`  ${cyan}${line}${reset}`);
+      } else if (line.startsWith('+')) {
+        log(`  ${green}${line}${reset}`);
+      } else if (line.startsWith('-')) {
+        log(`  ${red}${line}${reset}`);
+      } else {
+        log(`  ${line}`);
+      }
+    }
+  }
+
+  const counts = {};
+  for (const { status } of preview) counts[status] = (counts[status] || 0) + 1;
+  const summary = Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ');
+  log(`\n  ${yellow}Dry run:${reset} ${summary}. Re-run without ${cyan}--dry-run${reset} to apply.\n`);
 }
 
 /**
- * Build a hook command path
+ * After install, report how local patches were carried over.
  */
-function buildHookCommand(configDir, hookName) {
-  const hooksPath = configDir.replace(/\\/g, '/') + '/hooks/' + hookName;
-  return `node "${hooksPath}"`;
+function reportLocalPatches(result, fromVersion, toVersion) {
+  const { merged, conflicts, unmerged } = result;
+  if (merged.length + conflicts.length + unmerged.length === 0) return;
+
+  // Conflicts and overwritten files need a look even with --quiet
+  const out = conflicts.length + unmerged.length > 0 ? warn : log;
+  out('');
+  out(`  ${yellow}Local patches detected${reset} (from v${fromVersion}):`);
+  for (const f of merged) {
+    out(`     ${green}✓${reset} ${f} ${dim}— merged cleanly${reset}`);
+  }
+  for (const { file, hunks } of conflicts) {
+    out(`     ${yellow}!${reset} ${file} ${dim}— ${hunks} conflicting hunk(s)${reset}`);
+  }
+  for (const f of unmerged) {
+    out(`     ${cyan}${f}${reset} ${dim}— no merge base, overwritten${reset}`);
+  }
+  out('');
+  if (conflicts.length > 0) {
+    out(`  Resolve the ${cyan}<<<<<<< local${reset} / ${cyan}>>>>>>> v${toVersion}${reset} markers in the files above.`);
+  }
+  if (unmerged.length > 0) {
+    out(`  Manually compare and merge the overwritten files if needed.`);
+  }
+  out(`  Your original modifications are saved in ${cyan}${PATCHES_DIR_NAME}/${reset}`);
+  out('');
 }
 
 /**
- * Recursively collect all files with their hashes
+ * Install to one target and print what happened
  */
-function generateManifest(dir, baseDir) {
-  if (!baseDir) baseDir = dir;
-  const manifest = {};
-  if (!fs.existsSync(dir)) return manifest;
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    const relPath = path.relative(baseDir, fullPath).replace(/\\/g, '/');
-    if (entry.isDirectory()) {
-      Object.assign(manifest, generateManifest(fullPath, baseDir));
+function runInstall(isGlobal, options = {}) {
+  const configDir = getConfigDir(isGlobal, options.projectDir);
+  const locationLabel = getLocationLabel(isGlobal, configDir);
+  const pathPrefix = isGlobal ? `${configDir.replace(/\\/g, '/')}/` : './.claude/';
+
+  if (options.dryRun) {
+    log(`  Previewing install to ${cyan}${locationLabel}${reset} ${dim}(dry run — nothing is written)${reset}`);
+    log(`  ${dim}Path references rewritten: ~/.claude/ → ${pathPrefix}${reset}\n`);
+  } else {
+    log(`  Installing to ${cyan}${locationLabel}${reset}\n`);
+  }
+
+  const result = installer.install({ ...options, target: isGlobal ? 'global' : 'local' });
+  const summary = {
+    location: locationLabel,
+    previousVersion: result.previousVersion,
+    version: result.version,
+    dryRun: result.dryRun,
+    patches: result.patches,
+  };
+
+  if (result.bundle) {
+    const { file, version, files, signed, verified } = result.bundle;
+    const signature = verified ? 'signature verified' : signed ? 'signature not checked, --allow-unsigned' : 'unsigned, --allow-unsigned';
+    log(`  ${green}✓${reset} Verified bundle ${path.basename(file)} ${dim}(v${version}, ${files} files, checksums match, ${signature})${reset}\n`);
+  }
+  for (const warning of result.warnings) {
+    warn(`  ${yellow}Warning:${reset} ${warning}\n`);
+  }
+  if (result.dryRun) {
+    if (result.overlay) {
+      log(`  Blueprint overlay: ${cyan}${result.overlay.label}${reset} ${dim}(${result.overlay.source})${reset}\n`);
+    }
+    printPreview(result.preview);
+    return summary;
+  }
+
+  const { backedUp } = result.patches;
+  if (backedUp.length > 0) {
+    log(`  ${yellow}i${reset} Found ${backedUp.length} locally modified file(s) — backed up to ${PATCHES_DIR_NAME}/`);
+    for (const f of backedUp) {
+      log(`     ${dim}${f}${reset}`);
+    }
+  }
+  for (const { file, note } of result.files) {
+    const message = file === 'infra/VERSION' ? `Wrote VERSION (${result.version})` : `Installed ${file}`;
+    log(`  ${green}✓${reset} ${message}${note ? ` ${dim}(${note})${reset}` : ''}`);
+  }
+  for (const rel of result.removed) {
+    log(`  ${green}✓${reset} Removed ${rel} ${dim}(no longer in the overlay)${reset}`);
+  }
+  const { hooks } = result;
+  if (hooks.backup) {
+    log(`  ${green}✓${reset} Backed up settings.json ${dim}(${path.relative(result.configDir, hooks.backup)})${reset}`);
+  }
+  for (const name of hooks.added) {
+    const action = hooks.removed.includes(name) ? 'Updated' : 'Added';
+    log(`  ${green}✓${reset} ${action} ${name} hook in settings.json ${dim}(${HOOKS[name].event})${reset}`);
+  }
+  for (const name of hooks.removed.filter(n => !hooks.added.includes(n))) {
+    log(`  ${green}✓${reset} Removed ${name} hook from settings.json`);
+  }
+  if (hooks.added.length + hooks.removed.length === 0) {
+    log(`  ${dim}─${reset} Hooks already present: ${hooks.registered.join(', ')}`);
+  }
+  if (result.policy.changed) {
+    log(`  ${green}✓${reset} Set release policy: ${describePolicy(result.policy)}`);
+  }
+  if (result.overlay) {
+    log(`  ${green}✓${reset} Applied blueprint overlay ${result.overlay.label} ${dim}(${result.overlay.source})${reset}`);
+  } else if (result.overlayRemoved) {
+    log(`  ${green}✓${reset} Removed blueprint overlay ${dim}(${result.overlayRemoved})${reset}`);
+  }
+  log(`  ${green}✓${reset} Wrote file manifest (${MANIFEST_NAME})`);
+  if (result.legacyCacheRemoved) {
+    log(`  ${green}✓${reset} Removed orphaned update cache from ~/.claude/cache`);
+  }
+
+  // Report any backed-up local patches
+  reportLocalPatches(result.patches, result.previousVersion, result.version);
+
+  if (options.footer === false) return summary;
+
+  log(`
+  ${green}Done!${reset} Launch Claude Code and run ${cyan}/infra:audit${reset}
+
+  Other commands:
+    ${cyan}/infra:fix${reset}     — Auto-fix audit findings using parallel agents
+    ${cyan}/infra:status${reset}  — Check last audit/fix times and score
+    ${cyan}/infra:update${reset}  — Update to the latest version
+`);
+  return summary;
+}
+
+// ──────────────────────────────────────────────────────
+// Export Bundle
+// ──────────────────────────────────────────────────────
+
+/**
+ * Write an offline bundle of this version and say how to install it
+ */
+function runExportBundle(options = {}) {
+  let result;
+  try {
+    result = bundle.exportBundle({ output: options.output, signKey: options.signKey, allowUnsigned: options.allowUnsigned });
+  } catch (e) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: e.message }, null, 2));
     } else {
-      manifest[relPath] = fileHash(fullPath);
+      console.error(`  ${yellow}Export failed:${reset} ${e.message}\n`);
     }
+    return false;
+  }
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return true;
+  }
+
+  const name = path.basename(result.file);
+  console.log(`  ${green}✓${reset} Wrote bundle of ${result.files} files (v${result.version}) to ${cyan}${path.relative(process.cwd(), result.file) || name}${reset}`);
+  console.log(`  ${dim}─${reset} sha256 ${result.sha256}`);
+  if (result.signed) {
+    console.log(`  ${green}✓${reset} Signed with ${path.basename(options.signKey)}`);
+  } else {
+    console.log(`  ${yellow}!${reset} Unsigned ${dim}(checksums only — installs need --allow-unsigned)${reset}`);
   }
-  return manifest;
+  console.log(`
+  On the offline machine:
+    tar -xzf ${name}
+    node package/bin/install.js --global --from-bundle ${name} ${result.signed ? '--verify-key <public.pem>' : '--allow-unsigned'}
+`);
+  return true;
 }
 
 // ──────────────────────────────────────────────────────
-// Constants — files we own
+// Rollback
 // ──────────────────────────────────────────────────────
 
-const MANIFEST_NAME = 'infra-audit-manifest.json';
-const PATCHES_DIR_NAME = 'infra-audit-local-patches';
+function runRollback(isGlobal, options = {}) {
+  const configDir = getConfigDir(isGlobal, options.projectDir);
+  log(`  Rolling back ${cyan}${getLocationLabel(isGlobal, configDir)}${reset}\n`);
+
+  const result = installer.rollback({ target: isGlobal ? 'global' : 'local', projectDir: options.projectDir });
+  if (!result) {
+    console.error(`  ${yellow}⚠${reset} No install snapshot found — nothing to roll back.\n`);
+    return null;
+  }
+
+  if (result.settingsBackup) {
+    log(`  ${green}✓${reset} Backed up settings.json ${dim}(${path.relative(configDir, result.settingsBackup)})${reset}`);
+  }
+  for (const { path: relPath, existed } of result.entries) {
+    log(`  ${green}✓${reset} ${existed ? 'Restored' : 'Removed'} ${relPath}`);
+  }
 
-// Files we install (relative to config dir)
-const OUR_FILES = [
-  'commands/infra/audit.md',
-  'commands/infra/fix.md',
-  'commands/infra/status.md',
-  'commands/infra/update.md',
-  'infra/blueprint.md',
-  'infra/blueprints/ci.yml',
-  'infra/blueprints/renovate.yml',
-  'infra/scripts/detect.sh',
-  'infra/scripts/verify.sh',
-  'infra/VERSION',
-  'hooks/infra-check-update.js',
-  MANIFEST_NAME,
-];
+  const restored = result.restoredVersion
+    ? `Restored v${result.restoredVersion}`
+    : `Removed the v${result.replacedVersion} install`;
+  log(`
+  ${green}Done!${reset} ${restored} (snapshot from ${result.createdAt}).
+`);
+  return result;
+}
 
 // ──────────────────────────────────────────────────────
-// Local Patch Persistence
+// Uninstall
 // ──────────────────────────────────────────────────────
 
-/**
- * Detect user-modified files by comparing against install manifest.
- * Back up modified files before overwriting.
- */
-function saveLocalPatches(configDir) {
-  const manifestPath = path.join(configDir, MANIFEST_NAME);
-  if (!fs.existsSync(manifestPath)) return [];
-
-  let manifest;
-  try { manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8')); } catch { return []; }
-
-  const patchesDir = path.join(configDir, PATCHES_DIR_NAME);
-  const modified = [];
-
-  for (const [relPath, originalHash] of Object.entries(manifest.files || {})) {
-    const fullPath = path.join(configDir, relPath);
-    if (!fs.existsSync(fullPath)) continue;
-    const currentHash = fileHash(fullPath);
-    if (currentHash !== originalHash) {
-      const backupPath = path.join(patchesDir, relPath);
-      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
-      fs.copyFileSync(fullPath, backupPath);
-      modified.push(relPath);
+const REMOVED_MESSAGES = {
+  file: r => `Removed ${r.path}`,
+  directory: r => `Removed empty directory ${r.path}`,
+  hook: r => `Removed ${r.name} hook from settings.json`,
+  cache: () => 'Removed update cache',
+  'legacy-cache': () => 'Removed orphaned update cache from ~/.claude/cache',
+  patches: () => 'Removed local patches backup',
+  pristine: () => 'Removed pristine copies',
+  snapshot: () => 'Removed rollback snapshot',
+  history: r => `Removed audit history ${r.path}/`,
+  config: r => `Removed ${r.path}`,
+};
+
+function runUninstall(isGlobal, options = {}) {
+  const configDir = getConfigDir(isGlobal, options.projectDir);
+  const locationLabel = getLocationLabel(isGlobal, configDir);
+  log(`  Uninstalling from ${cyan}${locationLabel}${reset}\n`);
+
+  const result = installer.uninstall({
+    target: isGlobal ? 'global' : 'local',
+    projectDir: options.projectDir,
+    purge: options.purge,
+    keepPatches: options.keepPatches,
+  });
+  const summary = { location: locationLabel, previousVersion: result.previousVersion, removed: result.removed.length };
+  if (!result.existed) {
+    log(`  ${yellow}⚠${reset} Directory does not exist: ${locationLabel}`);
+    log(`  Nothing to uninstall.\n`);
+    return summary;
+  }
+
+  const printRemoved = entries => {
+    for (const entry of entries) {
+      log(`  ${green}✓${reset} ${REMOVED_MESSAGES[entry.kind](entry)}`);
     }
+  };
+  const isPath = r => r.kind === 'file' || r.kind === 'directory';
+  printRemoved(result.removed.filter(isPath));
+  for (const { path: relPath, archive } of result.archived) {
+    warn(`  ${yellow}!${reset} ${relPath} was modified locally ${dim}— archived to ${archive}${reset}`);
+  }
+  if (result.settingsBackup) {
+    log(`  ${green}✓${reset} Backed up settings.json ${dim}(${path.relative(configDir, result.settingsBackup)})${reset}`);
+  }
+  printRemoved(result.removed.filter(r => !isPath(r)));
+  if (result.removed.length === 0) {
+    log(`  ${yellow}⚠${reset} No infra:audit files found to remove.`);
   }
 
-  if (modified.length > 0) {
-    const meta = {
-      backed_up_at: new Date().toISOString(),
-      from_version: manifest.version,
-      files: modified,
-    };
-    fs.writeFileSync(path.join(patchesDir, 'backup-meta.json'), JSON.stringify(meta, null, 2));
-    console.log(`  ${yellow}i${reset} Found ${modified.length} locally modified file(s) — backed up to ${PATCHES_DIR_NAME}/`);
-    for (const f of modified) {
-      console.log(`     ${dim}${f}${reset}`);
+  // Inventory of what was left behind
+  if (result.kept.length > 0) {
+    const width = Math.max(...result.kept.map(k => k.path.length));
+    log(`\n  ${yellow}Kept:${reset}`);
+    for (const { path: relPath, reason } of result.kept) {
+      log(`    ${relPath.padEnd(width)}  ${dim}${reason}${reset}`);
     }
   }
-  return modified;
+
+  log(`
+  ${green}Done!${reset} infra:audit has been uninstalled.
+  Your other files and settings have been preserved.
+`);
+  return summary;
 }
 
+// ──────────────────────────────────────────────────────
+// JSON Output
+// ──────────────────────────────────────────────────────
+
 /**
- * After install, report backed-up patches for user to reapply.
+ * Install, uninstall or roll back one target for --json: the library result,
+ * or { target, configDir, error } when it fails
  */
-function reportLocalPatches(configDir) {
-  const patchesDir = path.join(configDir, PATCHES_DIR_NAME);
-  const metaPath = path.join(patchesDir, 'backup-meta.json');
-  if (!fs.existsSync(metaPath)) return;
+function runJson(action, isGlobal, options = {}) {
+  const target = isGlobal ? 'global' : 'local';
+  const configDir = getConfigDir(isGlobal, options.projectDir);
+  try {
+    const result = installer[action]({ ...options, target });
+    return result || { target, configDir, error: 'No install snapshot found — nothing to roll back' };
+  } catch (e) {
+    return e.backedUp ? { target, configDir, error: e.message, backedUp: e.backedUp } : { target, configDir, error: e.message };
+  }
+}
 
-  let meta;
-  try { meta = JSON.parse(fs.readFileSync(metaPath, 'utf8')); } catch { return; }
+// ──────────────────────────────────────────────────────
+// Doctor
+// ──────────────────────────────────────────────────────
 
-  if (meta.files && meta.files.length > 0) {
-    console.log('');
-    console.log(`  ${yellow}Local patches detected${reset} (from v${meta.from_version}):`);
-    for (const f of meta.files) {
-      console.log(`     ${cyan}${f}${reset}`);
+function runDoctor(isGlobal, options = {}) {
+  const report = installer.doctor({ target: isGlobal ? 'global' : 'local', projectDir: options.projectDir, repair: options.repair });
+  if (options.json) return report;
+
+  const { problems } = report;
+  const remaining = problems.filter(p => p.severity === 'error' && !p.repaired);
+  const locationLabel = getLocationLabel(isGlobal, report.config_dir);
+  const versionLabel = report.version ? ` ${dim}(v${report.version})${reset}` : '';
+  log(`  Checking ${cyan}${locationLabel}${reset}${versionLabel}\n`);
+
+  const checks = {
+    manifest: 'Manifest present',
+    files: 'Files present and matching manifest hashes',
+    version: 'infra/VERSION matches manifest',
+    hook: 'Hooks registered and pointing at existing files',
+    permissions: 'Scripts are executable',
+    stale: 'No stale files',
+  };
+  for (const [check, label] of Object.entries(checks)) {
+    const found = problems.filter(p => p.check === check);
+    if (!report.version && check !== 'manifest') break;
+    if (found.length === 0) {
+      log(`  ${green}✓${reset} ${label}`);
+      continue;
     }
-    console.log('');
-    console.log(`  Your modifications are saved in ${cyan}${PATCHES_DIR_NAME}/${reset}`);
-    console.log(`  Manually compare and merge the files if needed.`);
-    console.log('');
+    for (const p of found) {
+      let icon = p.severity === 'error' ? `${red}✗${reset}` : `${yellow}!${reset}`;
+      let suffix = '';
+      if (p.repaired) {
+        icon = `${green}✓${reset}`;
+        suffix = ` ${dim}— repaired${reset}`;
+      } else if (p.repair_error) {
+        suffix = ` ${dim}— repair failed: ${p.repair_error}${reset}`;
+      }
+      (p.repaired ? log : warn)(`  ${icon} ${p.message}${suffix}`);
+    }
+  }
+
+  log('');
+  if (remaining.length === 0) {
+    const warnings = problems.filter(p => p.severity === 'warning').length;
+    const note = warnings > 0 ? ` ${dim}(${warnings} warning(s))${reset}` : '';
+    log(`  ${green}Healthy!${reset} No problems found.${note}\n`);
+    return report;
   }
+  const repairable = remaining.filter(p => p.repairable && !p.repair_error).length;
+  warn(`  ${yellow}${remaining.length} problem(s) found.${reset}`);
+  if (!options.repair && repairable > 0) {
+    warn(`  Run with ${cyan}--repair${reset} to fix ${repairable} of them.`);
+  }
+  if (remaining.length > repairable) {
+    warn(`  Re-run the installer to fix the rest.`);
+  }
+  warn('');
+  return report;
 }
 
 // ──────────────────────────────────────────────────────
-// Install
+// Status
 // ──────────────────────────────────────────────────────
 
-function install(isGlobal) {
-  const src = path.join(__dirname, '..');
-  const configDir = getConfigDir(isGlobal);
+// Audits older than this get a staleness warning
+const STALE_AUDIT_DAYS = 30;
 
-  const locationLabel = isGlobal
-    ? configDir.replace(os.homedir(), '~')
-    : configDir.replace(process.cwd(), '.');
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
 
-  // Path prefix for file references in markdown content
-  const pathPrefix = isGlobal
-    ? `${configDir.replace(/\\/g, '/')}/`
-    : './.claude/';
-
-  console.log(`  Installing to ${cyan}${locationLabel}${reset}\n`);
-
-  // Save any locally modified files before overwriting
-  saveLocalPatches(configDir);
-
-  // Track failures
-  const failures = [];
-
-  // ── 1. commands/infra/audit.md ──
-  const auditSrc = path.join(src, 'commands', 'infra', 'audit.md');
-  const auditDest = path.join(configDir, 'commands', 'infra', 'audit.md');
-  fs.mkdirSync(path.dirname(auditDest), { recursive: true });
-  let auditContent = fs.readFileSync(auditSrc, 'utf8');
-  // Path template: replace ~/.claude/ with the actual install path
-  auditContent = auditContent.replace(/~\/\.claude\//g, pathPrefix);
-  fs.writeFileSync(auditDest, auditContent);
-  if (fs.existsSync(auditDest)) {
-    console.log(`  ${green}✓${reset} Installed commands/infra/audit.md`);
-  } else {
-    failures.push('commands/infra/audit.md');
-  }
+/**
+ * Whole days from a YYYY-MM-DD date to today (null if not a date)
+ */
+function daysSince(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+  if (!match) return null;
+  const then = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Math.round((today - then) / 86400000);
+}
 
-  // ── 2. commands/infra/update.md ──
-  const updateSrc = path.join(src, 'commands', 'infra', 'update.md');
-  const updateDest = path.join(configDir, 'commands', 'infra', 'update.md');
-  let updateContent = fs.readFileSync(updateSrc, 'utf8');
-  updateContent = updateContent.replace(/~\/\.claude\//g, pathPrefix);
-  fs.writeFileSync(updateDest, updateContent);
-  if (fs.existsSync(updateDest)) {
-    console.log(`  ${green}✓${reset} Installed commands/infra/update.md`);
-  } else {
-    failures.push('commands/infra/update.md');
-  }
+/**
+ * "today", "yesterday", "3 days ago", "2 weeks ago", ...
+ */
+function describeAge(days) {
+  if (days === null) return 'unknown';
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  if (days < 7) return `${days} days ago`;
+  if (days < 14) return '1 week ago';
+  if (days < 28) return `${Math.floor(days / 7)} weeks ago`;
+  if (days < 60) return '1 month ago';
+  return `${Math.floor(days / 30)} months ago`;
+}
+
+/**
+ * One bar per score on a fixed 0–10 scale
+ */
+function sparkline(scores) {
+  return scores
+    .map(score => SPARK_CHARS[Math.max(0, Math.min(7, Math.round(score / 10 * 7)))])
+    .join('');
+}
+
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta.toFixed(1)}` : delta.toFixed(1);
+}
+
+/**
+ * Everything `status` shows for one history file
+ */
+function summarizeHistory(file, history) {
+  const runs = getRuns(history);
+  const scores = runs.map(r => Number(r.score)).filter(score => !Number.isNaN(score));
+  const lastAuditDays = daysSince(history.last_audit);
+  const count = key => (typeof history[key] === 'number' ? history[key] : 0);
+  return {
+    found: true,
+    project: history.project || path.basename(file, '.json'),
+    path: history.path || null,
+    file,
+    score: typeof history.score === 'number' ? history.score : null,
+    critical: count('critical'),
+    warnings: count('warnings'),
+    info: count('info'),
+    last_audit: history.last_audit || null,
+    last_audit_days: lastAuditDays,
+    last_fix: history.last_fix || null,
+    last_fix_days: history.last_fix ? daysSince(history.last_fix) : null,
+    stale: lastAuditDays !== null && lastAuditDays > STALE_AUDIT_DAYS,
+    audits: runs.filter(r => r.type === 'audit').length,
+    fixes: runs.filter(r => r.type === 'fix').length,
+    scores,
+    delta: scores.length >= 2 ? Math.round((scores[scores.length - 1] - scores[0]) * 10) / 10 : null,
+    target_score: typeof history.target_score === 'number' ? history.target_score : null,
+    suppressed: Array.isArray(history.suppressed) ? history.suppressed.length : 0,
+    // Recorded by the infra-edits hook
+    changed_since_audit: history.stale ? history.stale.files : [],
+  };
+}
 
-  // ── 3. commands/infra/fix.md ──
-  const fixSrc = path.join(src, 'commands', 'infra', 'fix.md');
-  const fixDest = path.join(configDir, 'commands', 'infra', 'fix.md');
-  let fixContent = fs.readFileSync(fixSrc, 'utf8');
-  fixContent = fixContent.replace(/~\/\.claude\//g, pathPrefix);
-  fs.writeFileSync(fixDest, fixContent);
-  if (fs.existsSync(fixDest)) {
-    console.log(`  ${green}✓${reset} Installed commands/infra/fix.md`);
+/**
+ * Print the detailed status of one project
+ */
+function printStatus(summary) {
+  console.log(`  ${cyan}━━━ INFRA STATUS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${reset}\n`);
+  console.log(`  Project:     ${summary.project}`);
+
+  if (summary.score !== null) {
+    const color = summary.score >= 9 ? green : summary.score >= 5 ? yellow : red;
+    const filled = Math.max(0, Math.min(20, Math.round(summary.score * 2)));
+    const bar = '█'.repeat(filled) + '░'.repeat(20 - filled);
+    const check = summary.score >= 10 ? '  ✅' : '';
+    console.log(`  Score:       [${bar}]  ${color}${summary.score.toFixed(1)}${reset} / 10.0${check}`);
+  }
+  if (summary.target_score !== null && summary.score !== null) {
+    const gap = Math.round((summary.target_score - summary.score) * 10) / 10;
+    const met = gap <= 0 ? `${green}met${reset}` : `${yellow}${gap.toFixed(1)} to go${reset}`;
+    console.log(`  Target:      ${summary.target_score.toFixed(1)} ${dim}(project config)${reset} — ${met}`);
+  }
+  if (summary.scores.length >= 2) {
+    console.log(`  Trend:       ${sparkline(summary.scores.slice(-20))}  ${formatDelta(summary.delta)} since first audit`);
+    console.log(`  History:     ${summary.audits} audit(s), ${summary.fixes} fix(es)`);
+  }
+  console.log('');
+
+  console.log(`  Last audit:  ${summary.last_audit || 'never'} ${dim}(${describeAge(summary.last_audit_days)})${reset}`);
+  const lastFix = summary.last_fix
+    ? `${summary.last_fix} ${dim}(${describeAge(summary.last_fix_days)})${reset}`
+    : 'never';
+  console.log(`  Last fix:    ${lastFix}`);
+  console.log('');
+
+  console.log(`  Findings:    ${summary.critical} critical · ${summary.warnings} warnings · ${summary.info} info`);
+  if (summary.suppressed) {
+    console.log(`  Suppressed:  ${summary.suppressed} ${dim}(by the project config — not scored)${reset}`);
+  }
+  if (summary.critical + summary.warnings === 0) {
+    console.log(`  Status:      ${green}Clean — no action needed${reset}`);
   } else {
-    failures.push('commands/infra/fix.md');
+    const color = summary.critical > 0 ? red : yellow;
+    console.log(`  Status:      ${color}Action needed — run /infra:fix${reset}`);
+  }
+  if (summary.stale) {
+    console.log(`  Staleness:   ${yellow}Audit is ${summary.last_audit_days} days old — consider re-running /infra:audit${reset}`);
   }
+  if (summary.changed_since_audit.length > 0) {
+    console.log(`  Changed:     ${yellow}${summary.changed_since_audit.join(', ')}${reset} ${dim}(edited since the last audit)${reset}`);
+  }
+  console.log('');
+}
 
-  // ── 4. commands/infra/status.md ──
-  const statusSrc = path.join(src, 'commands', 'infra', 'status.md');
-  const statusDest = path.join(configDir, 'commands', 'infra', 'status.md');
-  let statusContent = fs.readFileSync(statusSrc, 'utf8');
-  statusContent = statusContent.replace(/~\/\.claude\//g, pathPrefix);
-  fs.writeFileSync(statusDest, statusContent);
-  if (fs.existsSync(statusDest)) {
-    console.log(`  ${green}✓${reset} Installed commands/infra/status.md`);
-  } else {
-    failures.push('commands/infra/status.md');
-  }
-
-  // ── 5. infra/blueprints/*.yml ──
-  const blueprintsDir = path.join(src, 'infra', 'blueprints');
-  const blueprintsDest = path.join(configDir, 'infra', 'blueprints');
-  fs.mkdirSync(blueprintsDest, { recursive: true });
-  for (const ymlName of ['ci.yml', 'renovate.yml']) {
-    const ymlSrc = path.join(blueprintsDir, ymlName);
-    const ymlDest = path.join(blueprintsDest, ymlName);
-    fs.copyFileSync(ymlSrc, ymlDest);
-    if (fs.existsSync(ymlDest)) {
-      console.log(`  ${green}✓${reset} Installed infra/blueprints/${ymlName}`);
-    } else {
-      failures.push(`infra/blueprints/${ymlName}`);
+/**
+ * Show audit status for the current project, or every project with --all.
+ * Returns false when the current project has no history.
+ */
+function status(options = {}) {
+  if (options.all) {
+    const summaries = listHistories().map(({ file, history }) => summarizeHistory(file, history));
+    if (options.json) {
+      console.log(JSON.stringify(summaries, null, 2));
+      return true;
     }
+    if (summaries.length === 0) {
+      console.log(`  No audit history found in ${HISTORY_DIR}\n`);
+      return true;
+    }
+    printSummary(['Project', 'Score', 'Trend', 'Last audit', 'Last fix', 'Findings'], summaries.map(s => [
+      s.project,
+      s.score === null ? '—' : s.score.toFixed(1),
+      s.scores.length >= 2 ? `${sparkline(s.scores.slice(-10))} ${formatDelta(s.delta)}` : '—',
+      s.last_audit ? `${describeAge(s.last_audit_days)}${s.stale ? ' (stale)' : ''}` : 'never',
+      s.last_fix ? describeAge(s.last_fix_days) : 'never',
+      `${s.critical} critical · ${s.warnings} warnings · ${s.info} info`,
+    ]), 'INFRA STATUS');
+    return true;
   }
 
-  // ── 6. infra/blueprint.md (preserves infra/history/) ──
-  const blueprintSrc = path.join(src, 'infra', 'blueprint.md');
-  const blueprintDest = path.join(configDir, 'infra', 'blueprint.md');
-  fs.mkdirSync(path.dirname(blueprintDest), { recursive: true });
-  fs.copyFileSync(blueprintSrc, blueprintDest);
-  if (fs.existsSync(blueprintDest)) {
-    console.log(`  ${green}✓${reset} Installed infra/blueprint.md`);
-  } else {
-    failures.push('infra/blueprint.md');
-  }
-
-  // ── 7. infra/scripts/*.sh ──
-  const scriptsDir = path.join(src, 'infra', 'scripts');
-  const scriptsDest = path.join(configDir, 'infra', 'scripts');
-  fs.mkdirSync(scriptsDest, { recursive: true });
-  for (const scriptName of ['detect.sh', 'verify.sh']) {
-    const scriptSrc = path.join(scriptsDir, scriptName);
-    const scriptOut = path.join(scriptsDest, scriptName);
-    let scriptContent = fs.readFileSync(scriptSrc, 'utf8');
-    scriptContent = scriptContent.replace(/~\/\.claude\//g, pathPrefix);
-    fs.writeFileSync(scriptOut, scriptContent);
-    fs.chmodSync(scriptOut, 0o755);
-    if (fs.existsSync(scriptOut)) {
-      console.log(`  ${green}✓${reset} Installed infra/scripts/${scriptName}`);
+  const projectDir = process.cwd();
+  const found = findProjectHistory(projectDir);
+  if (!found) {
+    const project = getProjectName(projectDir);
+    if (options.json) {
+      console.log(JSON.stringify({ found: false, project, path: projectDir }, null, 2));
     } else {
-      failures.push(`infra/scripts/${scriptName}`);
+      console.log(`  ${cyan}━━━ INFRA STATUS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${reset}\n`);
+      console.log(`  Project:  ${project}`);
+      console.log(`  Status:   No audit history found\n`);
+      console.log(`  Run ${cyan}/infra:audit${reset} to get started.\n`);
     }
+    return false;
   }
 
-  // ── 8. infra/VERSION ──
-  const versionDest = path.join(configDir, 'infra', 'VERSION');
-  fs.writeFileSync(versionDest, pkg.version);
-  if (fs.existsSync(versionDest)) {
-    console.log(`  ${green}✓${reset} Wrote VERSION (${pkg.version})`);
+  const summary = summarizeHistory(found.file, found.history);
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
   } else {
-    failures.push('infra/VERSION');
+    printStatus(summary);
   }
+  return true;
+}
 
-  // ── 9. hooks/infra-check-update.js ──
-  const hookSrc = path.join(src, 'hooks', 'infra-check-update.js');
-  const hookDest = path.join(configDir, 'hooks', 'infra-check-update.js');
-  fs.mkdirSync(path.dirname(hookDest), { recursive: true });
-  fs.copyFileSync(hookSrc, hookDest);
-  if (fs.existsSync(hookDest)) {
-    console.log(`  ${green}✓${reset} Installed hooks/infra-check-update.js`);
-  } else {
-    failures.push('hooks/infra-check-update.js');
+// ──────────────────────────────────────────────────────
+// Report
+// ──────────────────────────────────────────────────────
+
+/**
+ * Export the current project's latest audit in a CI format.
+ * Returns false when the project has no history.
+ */
+function report(options = {}) {
+  const format = options.format || 'markdown';
+  const found = findProjectHistory(process.cwd());
+  if (!found) {
+    console.error(`  ${yellow}No audit history found for ${getProjectName(process.cwd())}${reset} — run /infra:audit first`);
+    return false;
   }
 
-  // Check for failures before proceeding
-  if (failures.length > 0) {
-    console.error(`\n  ${yellow}Installation incomplete!${reset} Failed: ${failures.join(', ')}`);
-    process.exit(1);
+  const history = { ...found.history, runs: getRuns(found.history) };
+  const content = renderReport(format, history, {
+    name: pkg.name,
+    version: pkg.version,
+    homepage: pkg.homepage,
+  });
+
+  if (!options.output) {
+    process.stdout.write(content);
+    return true;
   }
+  const outputPath = path.resolve(options.output);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  console.log(`  ${green}✓${reset} Wrote ${format} report for ${history.project} to ${cyan}${options.output}${reset}\n`);
+  return true;
+}
+
+// ──────────────────────────────────────────────────────
+// Dashboard
+// ──────────────────────────────────────────────────────
 
-  // ── 10. Settings.json — additive hook merge ──
-  const settingsPath = path.join(configDir, 'settings.json');
-  const settings = readSettings(settingsPath);
+const DEFAULT_DASHBOARD = 'infra-audit-dashboard.html';
 
-  const updateCheckCommand = isGlobal
-    ? buildHookCommand(configDir, 'infra-check-update.js')
-    : 'node .claude/hooks/infra-check-update.js';
+/**
+ * Write an HTML dashboard of every project with schema v2 history.
+ * Returns false when there is nothing to show.
+ */
+function dashboard(options = {}) {
+  const histories = listHistories();
+  const current = histories.filter(({ history }) => validateHistory(history).length === 0);
+  const skipped = histories.length - current.length;
+
+  if (current.length === 0) {
+    console.error(`  ${yellow}No schema v2 audit history found in ${HISTORY_DIR}${reset}`);
+    if (skipped) {
+      console.error(`  Run ${cyan}npx python-infra-audit-cc migrate-history${reset} to upgrade ${skipped} older file(s).`);
+    }
+    console.error('');
+    return false;
+  }
 
-  // Ensure hooks structure exists
-  if (!settings.hooks) {
-    settings.hooks = {};
+  const projects = current.map(({ file, history }) => {
+    const summary = summarizeHistory(file, history);
+    return {
+      ...summary,
+      last_audit_age: describeAge(summary.last_audit_days),
+      runs: getRuns(history),
+      findings: history.findings || [],
+    };
+  });
+  const html = renderDashboard(projects, {
+    tool: { name: pkg.name, version: pkg.version },
+    generated: new Date().toISOString().slice(0, 16).replace('T', ' '),
+    staleDays: STALE_AUDIT_DAYS,
+    skipped,
+  });
+
+  const output = options.output || DEFAULT_DASHBOARD;
+  const outputPath = path.resolve(output);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, html);
+
+  const stale = projects.filter(p => p.stale).length;
+  console.log(`  ${green}✓${reset} Wrote dashboard of ${projects.length} project(s) to ${cyan}${output}${reset}`);
+  if (stale) {
+    console.log(`  ${yellow}!${reset} ${stale} project(s) not audited in the last ${STALE_AUDIT_DAYS} days`);
   }
-  if (!settings.hooks.SessionStart) {
-    settings.hooks.SessionStart = [];
+  if (skipped) {
+    console.log(`  ${yellow}!${reset} ${skipped} older history file(s) left out — run ${cyan}npx python-infra-audit-cc migrate-history${reset}`);
   }
+  console.log('');
+  return true;
+}
 
-  // Only add our hook if not already present
-  const hasOurHook = settings.hooks.SessionStart.some(entry =>
-    entry.hooks && entry.hooks.some(h => h.command && h.command.includes('infra-check-update'))
-  );
+// ──────────────────────────────────────────────────────
+// Gate
+// ──────────────────────────────────────────────────────
 
-  if (!hasOurHook) {
-    settings.hooks.SessionStart.push({
-      hooks: [
-        {
-          type: 'command',
-          command: updateCheckCommand,
-        }
-      ]
-    });
-    console.log(`  ${green}✓${reset} Added update check hook to settings.json`);
-  } else {
-    console.log(`  ${dim}─${reset} Update check hook already present`);
+/**
+ * Gate settings: --min-score, else `gate` from the project's
+ * .claude/infra-audit-config.json, else from the global install's config,
+ * else the project config's target_score
+ */
+function getGatePolicy(options = {}, config = null) {
+  const policy = {
+    ...(readInstallConfig(getConfigDir(true)).gate || {}),
+    ...(readInstallConfig(getConfigDir(false)).gate || {}),
+  };
+  if (options.minScore !== undefined) policy.minScore = Number(options.minScore);
+  if (policy.minScore === undefined && config && config.target_score !== null) policy.minScore = config.target_score;
+  return policy;
+}
+
+/**
+ * Read a run from a history file, a findings JSON array or any JSON
+ * object with `findings` (throws with a readable message). The project
+ * config's overrides and suppressions are applied to its findings, as
+ * history.js does when recording a run.
+ */
+function readRunFile(file, config = null) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read ${file}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
   }
+  if (!Array.isArray(data) && (data === null || typeof data !== 'object')) {
+    throw new Error(`${file} is not a findings array or history file`);
+  }
+  const findings = Array.isArray(data) ? data : data.findings;
+  if (config && Array.isArray(findings)) {
+    const applied = projectConfig.applyProjectConfig(findings, config);
+    // Counts and score no longer match the findings — let toRun recompute them
+    if (applied.changed) data = { date: data.date || data.last_audit, type: data.type, findings: applied.findings };
+  }
+  return toRun(data);
+}
 
-  writeSettings(settingsPath, settings);
+function describeRun(run) {
+  const when = [run.date, run.type].filter(Boolean).join(' ');
+  return `${run.score === null ? '—' : run.score.toFixed(1)}${when ? ` ${dim}(${when})${reset}` : ''}`;
+}
 
-  // ── 11. Write manifest ──
-  const manifest = {
-    version: pkg.version,
-    timestamp: new Date().toISOString(),
-    files: {},
-  };
+function printFindingChanges(title, findings, sign, color) {
+  if (findings.length === 0) return;
+  console.log(`  ${title}:`);
+  for (const f of findings) {
+    // Score impact of the change: a new warning costs -0.5, a resolved one gives +0.5
+    const impact = f.impact ? ` ${dim}(${sign === '+' ? f.impact : `+${-f.impact}`})${reset}` : '';
+    console.log(`    ${color}${sign} ${f.severity.padEnd(8)}${reset} ${f.area}: ${f.description}${impact}`);
+  }
+  console.log('');
+}
 
-  // Hash all installed files
-  const installedFiles = [
-    { rel: 'commands/infra/audit.md', abs: auditDest },
-    { rel: 'commands/infra/fix.md', abs: fixDest },
-    { rel: 'commands/infra/status.md', abs: statusDest },
-    { rel: 'commands/infra/update.md', abs: updateDest },
-    { rel: 'infra/blueprint.md', abs: blueprintDest },
-    { rel: 'infra/blueprints/ci.yml', abs: path.join(blueprintsDest, 'ci.yml') },
-    { rel: 'infra/blueprints/renovate.yml', abs: path.join(blueprintsDest, 'renovate.yml') },
-    { rel: 'infra/scripts/detect.sh', abs: path.join(scriptsDest, 'detect.sh') },
-    { rel: 'infra/scripts/verify.sh', abs: path.join(scriptsDest, 'verify.sh') },
-    { rel: 'infra/VERSION', abs: versionDest },
-    { rel: 'hooks/infra-check-update.js', abs: hookDest },
-  ];
-
-  for (const { rel, abs } of installedFiles) {
-    manifest.files[rel] = fileHash(abs);
-  }
-
-  const manifestPath = path.join(configDir, MANIFEST_NAME);
-  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
-  console.log(`  ${green}✓${reset} Wrote file manifest (${MANIFEST_NAME})`);
+/**
+ * Check the latest run (or --findings) against a score threshold and a
+ * baseline run (the previous run, or --baseline). Returns true if it passes.
+ */
+function gate(options = {}) {
+  const projectDir = process.cwd();
+  const found = findProjectHistory(projectDir);
+  const runs = found ? getRuns(found.history) : [];
+  const config = projectConfig.resolveProjectConfig(projectDir);
+  // The latest run's findings live at the top level of the history file
+  const latest = runs.length
+    ? toRun({ ...runs[runs.length - 1], findings: runs[runs.length - 1].findings || found.history.findings })
+    : null;
+
+  let current;
+  let baseline;
+  try {
+    if (options.findings) {
+      current = readRunFile(options.findings, config);
+      baseline = options.baseline ? readRunFile(options.baseline, config) : latest;
+    } else {
+      current = latest;
+      baseline = options.baseline ? readRunFile(options.baseline, config) : runs.length >= 2 ? toRun(runs[runs.length - 2]) : null;
+    }
+  } catch (e) {
+    console.error(`  ${yellow}${e.message}${reset}\n`);
+    return false;
+  }
+  if (!current) {
+    console.error(`  ${yellow}No audit history found for ${getProjectName(projectDir)}${reset} — run /infra:audit first, or pass ${cyan}--findings${reset}\n`);
+    return false;
+  }
 
-  // Report any backed-up local patches
-  reportLocalPatches(configDir);
+  if (config.errors.length && !options.json) {
+    console.error(`  ${yellow}!${reset} Project config ignored — run ${cyan}config validate${reset} for details\n`);
+  }
+  const result = evaluateGate(current, baseline, getGatePolicy(options, config));
+  const project = found ? found.history.project : getProjectName(projectDir);
+  if (options.json) {
+    console.log(JSON.stringify({ project, ...result }, null, 2));
+    return result.passed;
+  }
 
-  console.log(`
-  ${green}Done!${reset} Launch Claude Code and run ${cyan}/infra:audit${reset}
+  console.log(`  ${cyan}━━━ INFRA GATE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${reset}\n`);
+  console.log(`  Project:    ${project}`);
+  console.log(`  Score:      ${describeRun(current)}`);
+  console.log(`  Baseline:   ${baseline ? describeRun(baseline) : `${dim}none (first run)${reset}`}`);
+  console.log(`  Threshold:  ${result.min_score === null ? `${dim}none${reset}` : result.min_score.toFixed(1)}`);
+  console.log('');
+
+  if (result.added) {
+    printFindingChanges('New findings', result.added, '+', red);
+    printFindingChanges('Resolved findings', result.resolved, '-', green);
+    if (result.added.length + result.resolved.length === 0) {
+      console.log(`  ${dim}─${reset} No findings changed since the baseline\n`);
+    }
+  } else if (baseline) {
+    console.log(`  ${dim}─ The baseline has no recorded findings — comparing counts only${reset}\n`);
+  }
 
-  Other commands:
-    ${cyan}/infra:fix${reset}     — Auto-fix audit findings using parallel agents
-    ${cyan}/infra:status${reset}  — Check last audit/fix times and score
-    ${cyan}/infra:update${reset}  — Update to the latest version
-`);
+  if (result.passed) {
+    console.log(`  ${green}✓${reset} Gate passed\n`);
+    return true;
+  }
+  for (const failure of result.failures) {
+    console.log(`  ${red}✗${reset} ${failure}`);
+  }
+  console.log(`\n  ${red}Gate failed${reset}\n`);
+  return false;
 }
 
 // ──────────────────────────────────────────────────────
-// Uninstall
+// Blueprint Templates
 // ──────────────────────────────────────────────────────
 
-function uninstall(isGlobal) {
-  const configDir = getConfigDir(isGlobal);
+const SELECTED_BY = {
+  config: 'selected',
+  detected: 'detected',
+  default: 'default',
+};
 
-  const locationLabel = isGlobal
-    ? configDir.replace(os.homedir(), '~')
-    : configDir.replace(process.cwd(), '.');
+/**
+ * List the template registry and the current project's selection.
+ * --ci / --deps select a provider in the project's .claude/infra-audit-config.json.
+ * Returns false if a selection was invalid.
+ */
+function blueprints(options = {}) {
+  const projectDir = process.cwd();
+  const { configDir } = installer.resolveTarget({ target: options.target, projectDir });
+  const registry = readRegistry(configDir);
+  const changes = [['ci', options.ci], ['dependencies', options.deps]].filter(([, provider]) => provider);
+  try {
+    for (const [kind, provider] of changes) setProvider(projectDir, kind, provider, registry);
+  } catch (e) {
+    console.error(`  ${yellow}${e.message}${reset}\n`);
+    return false;
+  }
 
-  console.log(`  Uninstalling from ${cyan}${locationLabel}${reset}\n`);
-
-  if (!fs.existsSync(configDir)) {
-    console.log(`  ${yellow}⚠${reset} Directory does not exist: ${locationLabel}`);
-    console.log(`  Nothing to uninstall.\n`);
-    return;
-  }
-
-  let removedCount = 0;
-
-  // Remove our specific files (selective — don't touch other files in commands/infra/)
-  // Note: infra/history/ is NOT removed — it's user data, not ours
-  const filesToRemove = [
-    'commands/infra/audit.md',
-    'commands/infra/fix.md',
-    'commands/infra/status.md',
-    'commands/infra/update.md',
-    'infra/blueprint.md',
-    'infra/blueprints/ci.yml',
-    'infra/blueprints/renovate.yml',
-    'infra/scripts/detect.sh',
-    'infra/scripts/verify.sh',
-    'infra/VERSION',
-    'hooks/infra-check-update.js',
-    MANIFEST_NAME,
-  ];
-
-  for (const relPath of filesToRemove) {
-    const fullPath = path.join(configDir, relPath);
-    if (fs.existsSync(fullPath)) {
-      fs.unlinkSync(fullPath);
-      removedCount++;
-      console.log(`  ${green}✓${reset} Removed ${relPath}`);
-    }
+  const selection = selectTemplates(projectDir, { registry, configDir });
+  if (options.json) {
+    console.log(JSON.stringify(selection, null, 2));
+    return true;
   }
 
-  // Clean up empty directories (only if we emptied them)
-  const dirsToCheck = [
-    path.join(configDir, 'infra', 'blueprints'),
-    path.join(configDir, 'infra', 'scripts'),
-    path.join(configDir, 'infra'),
-    path.join(configDir, 'commands', 'infra'),
-  ];
-
-  for (const dir of dirsToCheck) {
-    if (fs.existsSync(dir)) {
-      const remaining = fs.readdirSync(dir);
-      if (remaining.length === 0) {
-        fs.rmdirSync(dir);
-        console.log(`  ${green}✓${reset} Removed empty directory ${path.relative(configDir, dir)}`);
-      } else {
-        console.log(`  ${dim}─${reset} Kept ${path.relative(configDir, dir)}/ (contains other files)`);
-      }
+  for (const [kind, provider] of changes) {
+    console.log(`  ${green}✓${reset} ${registry[kind].label}: ${registry[kind].providers[provider].name} ${dim}(.claude/${CONFIG_NAME})${reset}`);
+  }
+  if (changes.length) console.log('');
+
+  for (const [kind, entry] of Object.entries(registry)) {
+    const selected = selection[kind];
+    console.log(`  ${cyan}${entry.label}${reset} ${dim}— ${selected.name}, ${SELECTED_BY[selected.selected_by]}${reset}`);
+    for (const [id, p] of Object.entries(entry.providers)) {
+      const mark = id === selected.provider ? `${green}●${reset}` : `${dim}○${reset}`;
+      console.log(`    ${mark} ${id.padEnd(16)} ${dim}infra/blueprints/${p.template} → ${p.target}${reset}`);
     }
+    console.log('');
   }
+  console.log(`  /infra:audit and /infra:fix compare this project against the ${green}●${reset} templates.`);
+  console.log(`  Select another with ${cyan}--ci${reset} <provider> or ${cyan}--deps${reset} <provider>.\n`);
+  return true;
+}
 
-  // Remove our hook from settings.json
-  const settingsPath = path.join(configDir, 'settings.json');
-  if (fs.existsSync(settingsPath)) {
-    const settings = readSettings(settingsPath);
-    let settingsModified = false;
-
-    if (settings.hooks && settings.hooks.SessionStart) {
-      const before = settings.hooks.SessionStart.length;
-      settings.hooks.SessionStart = settings.hooks.SessionStart.filter(entry => {
-        if (entry.hooks && Array.isArray(entry.hooks)) {
-          const hasOurHook = entry.hooks.some(h =>
-            h.command && h.command.includes('infra-check-update')
-          );
-          return !hasOurHook;
-        }
-        return true;
-      });
+// ──────────────────────────────────────────────────────
+// Project Configuration
+// ──────────────────────────────────────────────────────
 
-      if (settings.hooks.SessionStart.length < before) {
-        settingsModified = true;
-        console.log(`  ${green}✓${reset} Removed hook from settings.json`);
-      }
+/**
+ * Validate the project's .infra-audit.json / [tool.infra-audit], or the
+ * given file, and summarize the settings it resolves to.
+ * Returns false if the config is invalid.
+ */
+function validateConfig(options = {}) {
+  const projectDir = process.cwd();
+  let found;
+  try {
+    found = options.file
+      ? projectConfig.readConfigFile(path.resolve(options.file))
+      : projectConfig.findProjectConfig(projectDir);
+    if (found && !found.config) throw new Error(`${options.file} has no [tool.infra-audit] table`);
+  } catch (e) {
+    if (options.json) console.log(JSON.stringify({ file: options.file || null, valid: false, errors: [e.message], warnings: [] }, null, 2));
+    else console.error(`  ${red}✗${reset} ${e.message}\n`);
+    return false;
+  }
 
-      // Clean up empty array
-      if (settings.hooks.SessionStart.length === 0) {
-        delete settings.hooks.SessionStart;
-      }
-      // Clean up empty hooks object
-      if (settings.hooks && Object.keys(settings.hooks).length === 0) {
-        delete settings.hooks;
-      }
+  if (!found) {
+    if (options.json) {
+      console.log(JSON.stringify({ file: null, valid: true, errors: [], warnings: [] }, null, 2));
+    } else {
+      console.log(`  ${dim}─${reset} No ${projectConfig.CONFIG_FILE} or [tool.infra-audit] in pyproject.toml — audits use the defaults\n`);
     }
+    return true;
+  }
+
+  const file = path.relative(projectDir, found.file) || found.file;
+  const { errors, warnings } = projectConfig.validateProjectConfig(found.config);
+  if (found.shadowed) warnings.unshift(`${projectConfig.CONFIG_FILE} takes precedence — [tool.infra-audit] in pyproject.toml is ignored`);
+  if (options.json) {
+    console.log(JSON.stringify({ file, valid: errors.length === 0, errors, warnings, config: found.config }, null, 2));
+    return errors.length === 0;
+  }
+
+  for (const error of errors) console.log(`  ${red}✗${reset} ${error}`);
+  for (const warning of warnings) console.log(`  ${yellow}!${reset} ${warning}`);
+  if (errors.length) {
+    console.log(`\n  ${red}${file} is invalid${reset} — audits ignore it until it is fixed\n`);
+    return false;
+  }
 
-    if (settingsModified) {
-      writeSettings(settingsPath, settings);
-      removedCount++;
+  const config = found.config;
+  const areas = Object.entries(config.areas || {});
+  const off = areas.filter(([, on]) => !on).map(([area]) => area);
+  const on = areas.filter(([, on]) => on).map(([area]) => area);
+  const expired = (config.suppress || []).filter(rule => rule.expires && daysSince(rule.expires) > 0).length;
+  console.log(`  ${green}✓${reset} ${file} is valid\n`);
+  if (off.length) console.log(`  Areas off:     ${off.join(', ')}`);
+  if (on.length) console.log(`  Areas forced:  ${on.join(', ')}`);
+  console.log(`  Severity:      ${(config.severity || []).length} override(s)`);
+  console.log(`  Suppressed:    ${(config.suppress || []).length - expired} active${expired ? `, ${expired} expired` : ''}`);
+  console.log(`  Target score:  ${typeof config.target_score === 'number' ? config.target_score.toFixed(1) : `${dim}none${reset}`}\n`);
+  return true;
+}
+
+// ──────────────────────────────────────────────────────
+// Migrate History
+// ──────────────────────────────────────────────────────
+
+/**
+ * Upgrade every history file to path-hashed schema v2.
+ * Returns false if any file is invalid and was left untouched.
+ */
+function migrateHistories(options = {}) {
+  const results = migrateAll({ dryRun: options.dryRun });
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return !results.some(r => r.action === 'invalid');
+  }
+
+  const verb = options.dryRun ? 'Previewing migration of' : 'Migrating';
+  console.log(`  ${verb} audit history in ${cyan}${HISTORY_DIR}${reset}\n`);
+  if (results.length === 0) {
+    console.log(`  ${dim}─${reset} No history files found\n`);
+    return true;
+  }
+
+  const descriptions = {
+    current: 'already current',
+    updated: 'pruned to the retention limit',
+    upgraded: 'upgraded to schema v2',
+    migrated: 'moved to',
+    merged: 'merged into',
+  };
+  for (const r of results) {
+    const name = path.basename(r.file);
+    if (r.action === 'skipped') {
+      console.log(`  ${yellow}!${reset} ${name} ${dim}— skipped: ${r.reason}${reset}`);
+    } else if (r.action === 'invalid') {
+      console.log(`  ${red}✗${reset} ${name} ${dim}— invalid: ${r.reason}${reset}`);
+    } else if (r.action === 'current') {
+      console.log(`  ${dim}─ ${name} — ${descriptions.current}${reset}`);
+    } else {
+      const target = r.target !== r.file ? ` ${path.basename(r.target)}` : '';
+      console.log(`  ${green}✓${reset} ${name} ${dim}— ${descriptions[r.action]}${target}${reset}`);
     }
   }
 
-  // Remove cache file
-  const cacheFile = path.join(configDir, 'cache', 'infra-audit-update-check.json');
-  if (fs.existsSync(cacheFile)) {
-    fs.unlinkSync(cacheFile);
-    removedCount++;
-    console.log(`  ${green}✓${reset} Removed update cache`);
+  const changed = results.filter(r => !['current', 'skipped', 'invalid'].includes(r.action)).length;
+  const invalid = results.filter(r => r.action === 'invalid').length;
+  console.log('');
+  if (options.dryRun) {
+    console.log(`  ${yellow}Dry run:${reset} ${changed} file(s) would change. Re-run without ${cyan}--dry-run${reset} to apply.\n`);
+  } else {
+    console.log(`  ${green}Done!${reset} ${changed} file(s) migrated.${invalid ? ` ${yellow}${invalid} invalid file(s) left untouched.${reset}` : ''}\n`);
   }
+  return invalid === 0;
+}
+
+// ──────────────────────────────────────────────────────
+// Sync History
+// ──────────────────────────────────────────────────────
 
-  // Remove patches directory
-  const patchesDir = path.join(configDir, PATCHES_DIR_NAME);
-  if (fs.existsSync(patchesDir)) {
-    fs.rmSync(patchesDir, { recursive: true });
-    removedCount++;
-    console.log(`  ${green}✓${reset} Removed local patches backup`);
+/**
+ * Pull and/or push audit runs through the team store (historySync.store).
+ * Resolves false when the store fails or any project does.
+ */
+async function syncHistories(options = {}) {
+  let sync;
+  try {
+    sync = await historySync.syncHistory({ mode: options.mode, all: options.all, store: options.store });
+  } catch (e) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: e.message }, null, 2));
+    } else {
+      console.error(`  ${yellow}History sync failed:${reset} ${e.message}\n`);
+    }
+    return false;
+  }
+  const failed = sync.results.filter(r => r.action === 'error').length;
+  if (options.json) {
+    console.log(JSON.stringify(sync, null, 2));
+    return failed === 0;
   }
 
-  if (removedCount === 0) {
-    console.log(`  ${yellow}⚠${reset} No infra:audit files found to remove.`);
+  const verbs = { sync: 'Syncing audit history with', push: 'Pushing audit history to', pull: 'Pulling audit history from' };
+  console.log(`  ${verbs[options.mode || 'sync']} ${cyan}${sync.store}${reset}\n`);
+  for (const r of sync.results) {
+    const name = r.project || r.project_id;
+    if (r.action === 'synced') {
+      const counts = [];
+      if (options.mode !== 'push') counts.push(`pulled ${r.pulled} run(s)`);
+      if (options.mode !== 'pull') counts.push(`pushed ${r.pushed} run(s)`);
+      console.log(`  ${green}✓${reset} ${name} ${dim}— ${counts.join(', ')}${reset}`);
+    } else if (r.action === 'current') {
+      console.log(`  ${dim}─ ${name} — up to date${reset}`);
+    } else if (r.action === 'skipped') {
+      console.log(`  ${yellow}!${reset} ${name} ${dim}— skipped: ${r.reason}${reset}`);
+    } else {
+      console.log(`  ${red}✗${reset} ${name} ${dim}— ${r.reason}${reset}`);
+    }
   }
+  console.log('');
+  return failed === 0;
+}
 
-  console.log(`
-  ${green}Done!${reset} infra:audit has been uninstalled.
-  Your other files and settings have been preserved.
-`);
+// ──────────────────────────────────────────────────────
+// Multi-target Summary
+// ──────────────────────────────────────────────────────
+
+/**
+ * One-line description of how local patches were carried over
+ */
+function describePatches(patches) {
+  if (!patches) return '—';
+  const parts = [];
+  if (patches.merged.length) parts.push(`${patches.merged.length} merged`);
+  if (patches.conflicts.length) parts.push(`${patches.conflicts.length} conflicted`);
+  if (patches.unmerged.length) parts.push(`${patches.unmerged.length} backed up`);
+  return parts.length ? parts.join(', ') : 'none';
+}
+
+/**
+ * Print a table with one row per target
+ */
+function printSummary(headers, rows, title = 'SUMMARY') {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = cells => '  ' + cells.map((c, i) => String(c).padEnd(widths[i])).join('   ').trimEnd();
+
+  log(`  ${cyan}━━━ ${title} ${'━'.repeat(Math.max(3, 56 - title.length))}${reset}\n`);
+  log(dim + line(headers) + reset);
+  for (const row of rows) log(line(row));
+  log('');
 }
 
 // ──────────────────────────────────────────────────────
 // Main
 // ──────────────────────────────────────────────────────
 
-if (hasUninstall) {
-  if (!hasGlobal && !hasLocal) {
-    console.error(`  ${yellow}--uninstall requires --global or --local${reset}`);
-    process.exit(1);
+// --local accepts project paths or globs — default is the current directory
+let targets = [{ isGlobal: true }];
+if (hasLocal) {
+  const projectDirs = [];
+  for (const pattern of localPaths.length ? localPaths : ['.']) {
+    const found = expandGlob(pattern);
+    if (found.length === 0) {
+      console.error(`  ${yellow}No project directory matches ${pattern}${reset}`);
+      process.exit(1);
+    }
+    projectDirs.push(...found.filter(dir => !projectDirs.includes(dir)));
+  }
+  targets = projectDirs.map(projectDir => ({ isGlobal: false, projectDir }));
+}
+const multiTarget = targets.length > 1;
+
+if (command === 'sync-history') {
+  syncHistories({ mode: syncMode, all: hasAll, store: storeArg, json: hasJson }).then(ok => process.exit(ok ? 0 : 1));
+} else if (command === 'export-bundle') {
+  process.exit(runExportBundle({ output: outputArg, signKey: signKeyArg, allowUnsigned: hasAllowUnsigned, json: hasJson }) ? 0 : 1);
+} else if (command === 'migrate-history') {
+  process.exit(migrateHistories({ dryRun: hasDryRun, json: hasJson }) ? 0 : 1);
+} else if (command === 'config') {
+  process.exit(validateConfig({ file: configFileArg, json: hasJson }) ? 0 : 1);
+} else if (command === 'blueprints') {
+  process.exit(blueprints({ ci: ciArg, deps: depsArg, json: hasJson, target: hasLocal ? 'local' : 'global' }) ? 0 : 1);
+} else if (command === 'gate') {
+  process.exit(gate({ minScore: minScoreArg, baseline: baselineArg, findings: findingsArg, json: hasJson }) ? 0 : 1);
+} else if (command === 'dashboard') {
+  process.exit(dashboard({ output: outputArg }) ? 0 : 1);
+} else if (command === 'report') {
+  process.exit(report({ format: formatArg, output: outputArg }) ? 0 : 1);
+} else if (command === 'status') {
+  // Reads ~/.claude/infra/history/ — independent of any install target
+  process.exit(status({ all: hasAll, json: hasJson }) ? 0 : 1);
+} else if (command === 'doctor') {
+  // Default to global, like install
+  const reports = targets.map(t => runDoctor(t.isGlobal, { projectDir: t.projectDir, json: hasJson, repair: hasRepair }));
+  if (hasJson) {
+    console.log(JSON.stringify(multiTarget ? reports : reports[0], null, 2));
   }
-  uninstall(hasGlobal);
-} else if (hasGlobal || hasLocal) {
-  install(hasGlobal);
+  process.exit(reports.every(r => r.healthy) ? 0 : 1);
+} else if (hasJson) {
+  // install, uninstall and rollback — one result per target
+  const action = hasUninstall ? 'uninstall' : hasRollback ? 'rollback' : 'install';
+  const results = targets.map(t => runJson(action, t.isGlobal, {
+    projectDir: t.projectDir,
+    dryRun: hasDryRun,
+    channel: channelArg,
+    pin: pinArg,
+    unpin: hasUnpin,
+    force: hasForce,
+    overlay: overlayArg,
+    noOverlay: hasNoOverlay,
+    hooks: hasHooksOption ? hookNames : undefined,
+    fromBundle: fromBundleArg,
+    verifyKey: verifyKeyArg,
+    allowUnsigned: hasAllowUnsigned,
+    purge: hasPurge,
+    keepPatches: hasKeepPatches,
+  }));
+  console.log(JSON.stringify(multiTarget ? results : results[0], null, 2));
+  process.exit(results.some(r => r.error) ? 1 : 0);
+} else if (hasUninstall) {
+  let failed = false;
+  const rows = targets.map(t => {
+    try {
+      const result = runUninstall(t.isGlobal, { projectDir: t.projectDir, purge: hasPurge, keepPatches: hasKeepPatches });
+      return [result.location, result.previousVersion || '—', result.removed ? 'removed' : 'nothing to remove'];
+    } catch (e) {
+      failed = true;
+      const configDir = getConfigDir(t.isGlobal, t.projectDir);
+      console.error(`  ${yellow}Uninstall failed:${reset} ${e.message}\n`);
+      return [getLocationLabel(t.isGlobal, configDir), (readManifest(configDir) || {}).version || '—', 'failed'];
+    }
+  });
+  if (multiTarget) printSummary(['Target', 'Previous', 'Result'], rows);
+  if (failed) process.exit(1);
+} else if (hasRollback) {
+  // Default to global, like install
+  const results = targets.map(t => runRollback(t.isGlobal, { projectDir: t.projectDir }));
+  if (results.includes(null)) process.exit(1);
 } else {
   // Default to global
-  install(true);
+  const rows = [];
+  let failed = false;
+  for (const t of targets) {
+    try {
+      const result = runInstall(t.isGlobal, {
+        projectDir: t.projectDir,
+        dryRun: hasDryRun,
+        footer: !multiTarget,
+        channel: channelArg,
+        pin: pinArg,
+        unpin: hasUnpin,
+        force: hasForce,
+        overlay: overlayArg,
+        noOverlay: hasNoOverlay,
+        hooks: hasHooksOption ? hookNames : undefined,
+        fromBundle: fromBundleArg,
+        verifyKey: verifyKeyArg,
+        allowUnsigned: hasAllowUnsigned,
+      });
+      const version = result.dryRun ? `${result.version} (dry run)` : result.version;
+      rows.push([result.location, result.previousVersion || '—', version, describePatches(result.patches)]);
+    } catch (e) {
+      failed = true;
+      const configDir = getConfigDir(t.isGlobal, t.projectDir);
+      const previousVersion = (readManifest(configDir) || {}).version;
+      rows.push([getLocationLabel(t.isGlobal, configDir), previousVersion || '—', 'failed', e.message]);
+      console.error(`\n  ${yellow}Installation failed:${reset} ${e.message}`);
+      console.error(`  No changes were made — the previous install is intact.`);
+      if (e.backedUp) {
+        console.error(`  ${dim}Backups of ${e.backedUp.length} locally modified file(s) are in ${PATCHES_DIR_NAME}/${reset}`);
+      }
+      console.error('');
+    }
+  }
+  if (multiTarget) {
+    printSummary(['Target', 'Previous', 'Installed', 'Local patches'], rows);
+    if (!failed && !hasDryRun) {
+      log(`  ${green}Done!${reset} Launch Claude Code in any of these projects and run ${cyan}/infra:audit${reset}\n`);
+    }
+  }
+  if (failed) process.exit(1);
 }
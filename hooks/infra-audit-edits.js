@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// infra-edits hook (SessionEnd): when the session edited infra files of an
+// audited project — pyproject.toml, .pre-commit-config.yaml, CI workflows,
+// Dockerfiles… — record them in its history, marking the audit stale until
+// the next /infra:audit. Edits are read from the session transcript; only
+// those made after the last audit count (its recorded_at in the history,
+// not the file's mtime — sync and fix runs rewrite the file too), so a
+// session that edits and then re-audits leaves nothing behind.
+
+const fs = require('fs');
+const path = require('path');
+const { historyModule } = require('./infra-audit-hook-common');
+
+// Project files the audit checks (see infra/scripts/detect.sh)
+const INFRA_FILES = [
+  /^pyproject\.toml$/,
+  /^\.pre-commit-config\.ya?ml$/,
+  /^\.?ruff\.toml$/,
+  /^pyrightconfig\.json$/,
+  /^Makefile$/,
+  /^alembic\.ini$/,
+  /^Dockerfile.*$/,
+  /^\.dockerignore$/,
+  /^(docker-)?compose\.ya?ml$/,
+  /^docker-compose\..+\.ya?ml$/,
+  /^\.env\..+$/,
+  /^\.github\/workflows\/.+\.ya?ml$/,
+  /^\.github\/dependabot\.ya?ml$/,
+  /^\.gitlab-ci\.yml$/,
+  /^\.circleci\/config\.yml$/,
+  /^renovate\.json5?$/,
+  /^\.infra-audit\.json$/,
+];
+
+// Transcript tool calls that write files, and where they keep the path
+const EDIT_TOOLS = { Edit: 'file_path', MultiEdit: 'file_path', Write: 'file_path', NotebookEdit: 'notebook_path' };
+
+/**
+ * Infra files (relative to projectDir) that the transcript's tool calls
+ * edited after `since` (ms)
+ */
+function editedInfraFiles(transcript, projectDir, since) {
+  const edited = new Set();
+  for (const line of transcript.split('\n')) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    if (!entry || !entry.message || !Array.isArray(entry.message.content)) continue;
+    if (entry.timestamp && Date.parse(entry.timestamp) <= since) continue;
+
+    for (const block of entry.message.content) {
+      if (!block || block.type !== 'tool_use' || !EDIT_TOOLS[block.name] || !block.input) continue;
+      const file = block.input[EDIT_TOOLS[block.name]];
+      if (typeof file !== 'string') continue;
+      const rel = path.relative(projectDir, path.resolve(projectDir, file)).split(path.sep).join('/');
+      if (INFRA_FILES.some(pattern => pattern.test(rel))) edited.add(rel);
+    }
+  }
+  return [...edited];
+}
+
+function main() {
+  if (process.stdin.isTTY) return;
+  const input = JSON.parse(fs.readFileSync(0, 'utf8'));
+  if (!input.transcript_path) return;
+
+  const projectDir = input.cwd || process.cwd();
+  const history = historyModule();
+  const found = history.findProjectHistory(projectDir);
+  if (!found) return;
+
+  const transcript = fs.readFileSync(input.transcript_path, 'utf8');
+  const files = editedInfraFiles(transcript, projectDir, history.getLastAuditTime(found.history) || 0);
+  if (files.length > 0) history.markStale(projectDir, files);
+}
+
+try {
+  main();
+} catch (e) {}
@@ -0,0 +1,63 @@
+// Shared by the opt-in infra:audit hooks (stale-audit, score-banner,
+// infra-edits) — settings, the current project's history and notices.
+// Registered with: npx python-infra-audit-cc --hooks <names>
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_NAME = 'infra-audit-config.json';
+
+// This file is installed to <configDir>/hooks/, next to the install's
+// infra/scripts/ (history.js and its schema)
+const configDir = path.resolve(__dirname, '..');
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * A hook's settings (e.g. staleAudit) from the install's
+ * infra-audit-config.json, overridden by the current project's
+ * .claude/infra-audit-config.json
+ */
+function hookSettings(key, defaults) {
+  const settings = { enabled: true, ...defaults };
+  const files = [
+    path.join(configDir, CONFIG_NAME),
+    path.join(process.cwd(), '.claude', CONFIG_NAME),
+  ];
+  for (const file of files) {
+    const config = readJson(file);
+    if (config && config[key]) Object.assign(settings, config[key]);
+  }
+  return settings;
+}
+
+/**
+ * The installed history module (infra/scripts/history.js)
+ */
+function historyModule() {
+  return require(path.join(configDir, 'infra', 'scripts', 'history'));
+}
+
+/**
+ * Whole days from a YYYY-MM-DD date to today (null if not a date)
+ */
+function daysSince(date) {
+  const then = Date.parse(`${date}T00:00:00`);
+  if (Number.isNaN(then)) return null;
+  return Math.floor((Date.now() - then) / 86400000);
+}
+
+/**
+ * Show a message to the user at session start
+ */
+function notify(lines) {
+  process.stdout.write(JSON.stringify({ systemMessage: lines.join('\n') }) + '\n');
+}
+
+module.exports = { configDir, readJson, hookSettings, historyModule, daysSince, notify };
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// score-banner hook (SessionStart): show this project's latest audit score
+// and its change since the previous run, warning when it is below
+// scoreBanner.minScore — by default the project's target_score.
+// Projects that were never audited are left alone.
+
+const { hookSettings, historyModule, notify } = require('./infra-audit-hook-common');
+
+function main() {
+  const { enabled, minScore } = hookSettings('scoreBanner', { minScore: null });
+  if (enabled === false) return;
+
+  const history = historyModule();
+  const found = history.findProjectHistory(process.cwd());
+  if (!found || typeof found.history.score !== 'number') return;
+
+  const { project, score, target_score: targetScore } = found.history;
+  const runs = history.getRuns(found.history);
+  const previous = runs.length > 1 ? runs[runs.length - 2] : null;
+  const threshold = typeof minScore === 'number' ? minScore : targetScore;
+
+  let trend = '';
+  if (previous && typeof previous.score === 'number') {
+    const delta = score - previous.score;
+    const arrow = delta > 0 ? '▲' : delta < 0 ? '▼' : '=';
+    trend = ` (${arrow} ${Math.abs(delta).toFixed(1)} since ${previous.date})`;
+  }
+
+  if (typeof threshold === 'number' && score < threshold) {
+    notify([
+      `infra:audit — ${project} scores ${score.toFixed(1)}/10${trend}, below the target of ${threshold.toFixed(1)}.`,
+      'Run /infra:fix to work through the findings.',
+    ]);
+  } else {
+    notify([`infra:audit — ${project} scores ${score.toFixed(1)}/10${trend}.`]);
+  }
+}
+
+try {
+  main();
+} catch (e) {}
@@ -0,0 +1,150 @@
+// Semver parsing, ordering and ranges for infra:audit release checks
+// Used by infra-check-update.js and the installer — no dependencies, so it
+// works from an installed hooks/ directory
+
+const VERSION = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function parseVersion(version) {
+  const match = VERSION.exec(String(version).trim());
+  if (!match) return null;
+  return {
+    release: [Number(match[1]), Number(match[2]), Number(match[3])],
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+function isPrerelease(version) {
+  const parsed = parseVersion(version);
+  return Boolean(parsed && parsed.prerelease.length);
+}
+
+/**
+ * Semver precedence: negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  const x = parseVersion(a);
+  const y = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (x.release[i] !== y.release[i]) return x.release[i] - y.release[i];
+  }
+  // A pre-release sorts before its release
+  if (!x.prerelease.length || !y.prerelease.length) {
+    return y.prerelease.length - x.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(x.prerelease.length, y.prerelease.length); i++) {
+    const p = x.prerelease[i];
+    const q = y.prerelease[i];
+    if (p === undefined) return -1;
+    if (q === undefined) return 1;
+    if (p === q) continue;
+    const pNum = /^\d+$/.test(p);
+    const qNum = /^\d+$/.test(q);
+    if (pNum && qNum) return Number(p) - Number(q);
+    if (pNum !== qNum) return pNum ? -1 : 1;
+    return p < q ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Parse "1", "1.2", "1.x", "1.2.3-beta.1" into numbers (null = wildcard)
+ */
+function parsePartial(text) {
+  const match = PARTIAL.exec(text);
+  if (!match) return null;
+  const parts = [match[1], match[2], match[3]]
+    .map(p => (p === undefined || /^[xX*]$/.test(p) ? null : Number(p)));
+  // A wildcard can't be followed by a number (1.x.3)
+  const wildcard = parts.indexOf(null);
+  if (wildcard !== -1 && parts.slice(wildcard).some(p => p !== null)) return null;
+  return { parts, prerelease: match[4] };
+}
+
+/**
+ * Expand one range token (^1.2, ~1.2.3, >=1.0.0, 1.x, ...) into
+ * [operator, version] comparators. Upper bounds use `-0` so pre-releases
+ * of the next major/minor don't sneak in. Returns null if invalid.
+ */
+function expandToken(token) {
+  if (token === '*' || token === 'x' || token === 'X') return [];
+  const match = /^(\^|~|>=|<=|>|<|=)?(.+)$/.exec(token);
+  const partial = match && parsePartial(match[2]);
+  if (!partial) return null;
+
+  const operator = match[1] || '=';
+  const [major, minor, patch] = partial.parts;
+  const pre = partial.prerelease ? `-${partial.prerelease}` : '';
+  const full = patch !== null;
+  const lower = `${major || 0}.${minor || 0}.${patch || 0}${pre}`;
+  const nextMajor = `${major + 1}.0.0-0`;
+  const nextMinor = `${major}.${minor + 1}.0-0`;
+
+  if (major === null) {
+    return operator === '<' || operator === '>' ? [['<', '0.0.0-0']] : [];
+  }
+
+  switch (operator) {
+    case '=':
+      if (full) return [['=', lower]];
+      return [['>=', lower], ['<', minor === null ? nextMajor : nextMinor]];
+    case '^':
+      if (major > 0 || minor === null) return [['>=', lower], ['<', nextMajor]];
+      if (minor > 0 || patch === null) return [['>=', lower], ['<', nextMinor]];
+      return [['>=', lower], ['<', `0.0.${patch + 1}-0`]];
+    case '~':
+      return [['>=', lower], ['<', minor === null ? nextMajor : nextMinor]];
+    case '>=':
+      return [['>=', lower]];
+    case '<':
+      return [['<', full ? lower : `${lower}-0`]];
+    case '>':
+      if (full) return [['>', lower]];
+      return [['>=', minor === null ? nextMajor : nextMinor]];
+    case '<=':
+      if (full) return [['<=', lower]];
+      return [['<', minor === null ? nextMajor : nextMinor]];
+  }
+  return null;
+}
+
+/**
+ * Parse a range into alternatives (||) of comparator lists.
+ * Returns null if the range is invalid.
+ */
+function parseRange(range) {
+  const alternatives = [];
+  for (const alternative of String(range).split('||')) {
+    const tokens = alternative.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    const comparators = [];
+    for (const token of tokens) {
+      const expanded = expandToken(token);
+      if (!expanded) return null;
+      comparators.push(...expanded);
+    }
+    alternatives.push(comparators);
+  }
+  return alternatives;
+}
+
+/**
+ * Whether a version falls inside a range. Pre-releases are compared like
+ * any other version — callers decide whether they are eligible at all.
+ */
+function satisfies(version, range) {
+  const alternatives = parseRange(range);
+  if (!alternatives) throw new Error(`Invalid version range "${range}"`);
+  if (!parseVersion(version)) return false;
+
+  const test = {
+    '=': c => c === 0,
+    '>': c => c > 0,
+    '>=': c => c >= 0,
+    '<': c => c < 0,
+    '<=': c => c <= 0,
+  };
+  return alternatives.some(comparators =>
+    comparators.every(([operator, bound]) => test[operator](compareVersions(version, bound))));
+}
+
+module.exports = { parseVersion, isPrerelease, compareVersions, parseRange, satisfies };
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// stale-audit hook (SessionStart): warn when this project's infra audit is
+// out of date — the last audit is older than staleAudit.days (default 30),
+// or the infra-edits hook recorded infra files edited since.
+// Projects that were never audited are left alone.
+
+const { hookSettings, historyModule, daysSince, notify } = require('./infra-audit-hook-common');
+
+const DEFAULT_STALE_DAYS = 30;
+
+function main() {
+  const { enabled, days } = hookSettings('staleAudit', { days: DEFAULT_STALE_DAYS });
+  if (enabled === false) return;
+
+  const found = historyModule().findProjectHistory(process.cwd());
+  if (!found) return;
+  const { history } = found;
+
+  const lines = [];
+  const age = daysSince(history.last_audit);
+  if (age !== null && age > days) {
+    lines.push(`infra:audit — the last audit of ${history.project} was ${age} days ago (${history.last_audit}).`);
+  }
+  if (history.stale && history.stale.files.length > 0) {
+    lines.push(`infra:audit — infra files changed since the last audit of ${history.project}: ${history.stale.files.join(', ')}`);
+  }
+  if (lines.length === 0) return;
+
+  lines.push('Run /infra:audit to refresh the score.');
+  notify(lines);
+}
+
+try {
+  main();
+} catch (e) {}
@@ -1,62 +1,346 @@
 #!/usr/bin/env node
 // Check for infra:audit updates in background, write result to cache
 // Called by SessionStart hook - runs once per session
+//
+// On session start, a previously cached "update available" result is shown
+// to the user (at most once per interval), then a fresh check is spawned in
+// the background with --check.
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
 const { spawn } = require('child_process');
+const { parseVersion, isPrerelease, compareVersions, satisfies } = require('./infra-audit-semver');
 
-const homeDir = os.homedir();
-const cwd = process.cwd();
-const cacheDir = path.join(homeDir, '.claude', 'cache');
+const PACKAGE_NAME = 'python-infra-audit-cc';
+const CONFIG_NAME = 'infra-audit-config.json';
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+const DEFAULT_NOTICE_INTERVAL_HOURS = 24;
+const DEFAULT_CHECK_INTERVAL_HOURS = 24;
+const MAX_HIGHLIGHTS = 3;
+
+// This file is installed to <configDir>/hooks/, so its own location is the
+// install it belongs to — the same directory the installer resolved
+// (~/.claude, CLAUDE_CONFIG_DIR, or a project's ./.claude)
+const configDir = path.resolve(__dirname, '..');
+const cacheDir = path.join(configDir, 'cache');
 const cacheFile = path.join(cacheDir, 'infra-audit-update-check.json');
+const versionFile = path.join(configDir, 'infra', 'VERSION');
+const manifestFile = path.join(configDir, 'infra-audit-manifest.json');
 
-// VERSION file locations (check project first, then global)
-const projectVersionFile = path.join(cwd, '.claude', 'infra', 'VERSION');
-const globalVersionFile = path.join(homeDir, '.claude', 'infra', 'VERSION');
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
 
-// Ensure cache directory exists
-if (!fs.existsSync(cacheDir)) {
-  fs.mkdirSync(cacheDir, { recursive: true });
+function readInstalledVersion() {
+  try {
+    return fs.readFileSync(versionFile, 'utf8').trim();
+  } catch (e) {
+    return '0.0.0';
+  }
 }
 
-// Run check in background (spawn background process)
-const child = spawn(process.execPath, ['-e', `
-  const fs = require('fs');
-  const { execSync } = require('child_process');
+/**
+ * Global or local — recorded in the manifest by the installer, otherwise
+ * inferred the way the installer picks its global directory
+ */
+function installScope() {
+  const manifest = readJson(manifestFile);
+  if (manifest && manifest.target) return manifest.target;
 
-  const cacheFile = ${JSON.stringify(cacheFile)};
-  const projectVersionFile = ${JSON.stringify(projectVersionFile)};
-  const globalVersionFile = ${JSON.stringify(globalVersionFile)};
+  let globalDir = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+  if (globalDir.startsWith('~/')) globalDir = path.join(os.homedir(), globalDir.slice(2));
+  return path.resolve(globalDir) === configDir ? 'global' : 'local';
+}
 
-  // Check project directory first (local install), then global
-  let installed = '0.0.0';
-  try {
-    if (fs.existsSync(projectVersionFile)) {
-      installed = fs.readFileSync(projectVersionFile, 'utf8').trim();
-    } else if (fs.existsSync(globalVersionFile)) {
-      installed = fs.readFileSync(globalVersionFile, 'utf8').trim();
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+/**
+ * Update notice settings from the install's infra-audit-config.json,
+ * overridden by the current project's .claude/infra-audit-config.json
+ */
+function noticeSettings() {
+  const settings = { enabled: true, intervalHours: DEFAULT_NOTICE_INTERVAL_HOURS };
+  const files = [
+    path.join(configDir, CONFIG_NAME),
+    path.join(process.cwd(), '.claude', CONFIG_NAME),
+  ];
+  for (const file of files) {
+    const config = readJson(file);
+    if (config && config.updateNotice) Object.assign(settings, config.updateNotice);
+  }
+  return settings;
+}
+
+/**
+ * Where and how often to look for releases, and which ones count — from the
+ * install's infra-audit-config.json only, since the result is cached per install
+ */
+function checkSettings() {
+  const settings = {
+    intervalHours: DEFAULT_CHECK_INTERVAL_HOURS,
+    registry: process.env.npm_config_registry || DEFAULT_REGISTRY,
+    mirror: null,
+  };
+  const config = readJson(path.join(configDir, CONFIG_NAME)) || {};
+  if (config.updateCheck) Object.assign(settings, config.updateCheck);
+  if (settings.mirror) settings.mirror = path.resolve(configDir, expandHome(settings.mirror));
+  settings.channel = config.channel || 'latest';
+  settings.pin = config.pin || null;
+  return settings;
+}
+
+/**
+ * Bullet points from the changelog sections between the installed and latest versions
+ */
+function changelogHighlights(markdown, installed, latest) {
+  const highlights = [];
+  for (const section of markdown.split(/^## /m).slice(1)) {
+    const version = section.split(/\s/, 1)[0];
+    if (!parseVersion(version)) continue;
+    if (compareVersions(version, installed) <= 0 || compareVersions(version, latest) > 0) continue;
+    for (const line of section.split('\n')) {
+      const match = line.match(/^- (.+)/);
+      if (match) highlights.push(match[1].replace(/[`*]/g, '').trim());
     }
-  } catch (e) {}
+  }
+  return highlights
+    .slice(0, MAX_HIGHLIGHTS)
+    .map(h => (h.length > 100 ? h.slice(0, 97) + '...' : h));
+}
+
+/**
+ * Read one file out of a gzipped tarball (as produced by `npm pack`)
+ */
+function readTarEntry(archive, name) {
+  const tar = zlib.gunzipSync(archive);
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const field = (start, length) => tar.toString('utf8', offset + start, offset + start + length).replace(/\0[\s\S]*$/, '');
+    const entryName = field(0, 100);
+    if (!entryName) break;
+    const prefix = field(345, 155);
+    const size = parseInt(field(124, 12).trim(), 8) || 0;
+    offset += 512;
+    if ((prefix ? `${prefix}/${entryName}` : entryName) === name) {
+      return tar.toString('utf8', offset, offset + size);
+    }
+    offset += Math.ceil(size / 512) * 512;
+  }
+  return null;
+}
+
+// ──────────────────────────────────────────────────────
+// Release Sources
+// ──────────────────────────────────────────────────────
 
-  let latest = null;
+/**
+ * GET a URL (http or https), following redirects
+ */
+function request(url, redirects = 3) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.get(url, {
+      timeout: 10000,
+      headers: { accept: 'application/vnd.npm.install-v1+json, application/json;q=0.8, */*' },
+    }, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        resolve(request(new URL(res.headers.location, url).toString(), redirects - 1));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode} from ${url}`));
+        return;
+      }
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out fetching ${url}`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Newest version on a channel, limited to the pinned range if there is one.
+ * The stable channel ("latest") never offers pre-releases.
+ */
+function selectRelease(versions, distTags, channel, pin) {
+  let head = distTags[channel];
+  if (!parseVersion(head)) throw new Error(`no release on the "${channel}" channel`);
+  // A channel like "next" can lag behind latest once its release ships
+  if (parseVersion(distTags.latest) && compareVersions(distTags.latest, head) > 0) head = distTags.latest;
+  if (!pin) return head;
+
+  const candidates = versions
+    .filter(v => parseVersion(v) && compareVersions(v, head) <= 0)
+    .filter(v => channel !== 'latest' || !isPrerelease(v))
+    .filter(v => satisfies(v, pin))
+    .sort(compareVersions);
+  if (!candidates.length) throw new Error(`no "${channel}" release matches pin ${pin}`);
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Newest eligible release from an npm-compatible registry's package document
+ */
+async function registryRelease(registry, channel, pin) {
+  const url = `${registry.replace(/\/+$/, '')}/${PACKAGE_NAME}`;
+  let doc;
   try {
-    latest = execSync('npm view python-infra-audit-cc version', { encoding: 'utf8', timeout: 10000, windowsHide: true }).trim();
-  } catch (e) {}
+    doc = JSON.parse((await request(url)).toString('utf8'));
+  } catch (e) {
+    throw e instanceof SyntaxError ? new Error(`invalid package document from ${url}`) : e;
+  }
+  const versions = doc.versions || {};
+  const version = selectRelease(Object.keys(versions), doc['dist-tags'] || {}, channel, pin);
+
+  const tarball = versions[version] && versions[version].dist && versions[version].dist.tarball;
+  return { version, tarball: () => (tarball ? request(tarball) : null) };
+}
+
+/**
+ * Newest eligible release in a mirror directory of `npm pack` tarballs
+ * (python-infra-audit-cc-<version>.tgz). The newest stable tarball is
+ * "latest"; the newest of any kind is "next".
+ */
+async function mirrorRelease(dir, channel, pin) {
+  const prefix = `${PACKAGE_NAME}-`;
+  const versions = fs.readdirSync(dir)
+    .filter(f => f.startsWith(prefix) && f.endsWith('.tgz'))
+    .map(f => f.slice(prefix.length, -'.tgz'.length))
+    .filter(v => parseVersion(v))
+    .sort(compareVersions);
+  if (!versions.length) throw new Error(`no ${prefix}<version>.tgz releases in ${dir}`);
+
+  const stable = versions.filter(v => !isPrerelease(v));
+  const distTags = { latest: stable[stable.length - 1], next: versions[versions.length - 1] };
+  const version = selectRelease(versions, distTags, channel, pin);
+  return { version, tarball: () => fs.readFileSync(path.join(dir, `${prefix}${version}.tgz`)) };
+}
+
+/**
+ * Show the cached "update available" result, throttled per interval
+ */
+function notifyIfUpdateAvailable() {
+  const cache = readJson(cacheFile);
+  if (!cache || !cache.update_available) return;
+  // Already upgraded since the last check
+  if (cache.installed !== readInstalledVersion()) return;
+
+  const { enabled, intervalHours } = noticeSettings();
+  if (enabled === false) return;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (cache.notified && now - cache.notified < intervalHours * 3600) return;
+
+  const policy = [];
+  if (cache.channel && cache.channel !== 'latest') policy.push(`${cache.channel} channel`);
+  if (cache.pin) policy.push(`pinned to ${cache.pin}`);
+  const suffix = policy.length ? ` (${policy.join(', ')})` : '';
+  const lines = [`infra:audit update available: v${cache.installed} → v${cache.latest}${suffix}`];
+  for (const highlight of cache.highlights || []) {
+    lines.push(`  • ${highlight}`);
+  }
+  lines.push('Run /infra:update to upgrade.');
+  process.stdout.write(JSON.stringify({ systemMessage: lines.join('\n') }) + '\n');
+
+  cache.notified = now;
+  fs.writeFileSync(cacheFile, JSON.stringify(cache));
+}
+
+/**
+ * Background job: look up the latest release and cache the result
+ */
+async function runCheck() {
+  const previous = readJson(cacheFile) || {};
+  const installed = readInstalledVersion();
+  const settings = checkSettings();
+  const source = settings.mirror || settings.registry;
+  const now = Math.floor(Date.now() / 1000);
+
+  // Recheck once per interval — sooner if the install, source or policy changed
+  const unchanged = previous.installed === installed && previous.source === source &&
+    (previous.channel || 'latest') === settings.channel && (previous.pin || null) === settings.pin;
+  if (previous.checked && unchanged && now - previous.checked < settings.intervalHours * 3600) {
+    return;
+  }
 
   const result = {
-    update_available: latest && installed !== latest,
+    update_available: false,
     installed,
-    latest: latest || 'unknown',
-    checked: Math.floor(Date.now() / 1000)
+    latest: null,
+    source,
+    channel: settings.channel,
+    pin: settings.pin,
+    scope: installScope(),
+    config_dir: configDir,
+    checked: now,
   };
 
+  let release = null;
+  try {
+    if (!parseVersion(installed)) throw new Error(`installed version "${installed}" is not valid semver`);
+    release = settings.mirror
+      ? await mirrorRelease(settings.mirror, settings.channel, settings.pin)
+      : await registryRelease(settings.registry, settings.channel, settings.pin);
+    result.latest = release.version;
+    result.update_available = compareVersions(release.version, installed) > 0;
+  } catch (e) {
+    result.error = e.message;
+    // Keep what the last successful check found
+    if (previous.latest && unchanged) {
+      result.latest = previous.latest;
+      result.update_available = Boolean(previous.update_available);
+      if (previous.highlights) result.highlights = previous.highlights;
+    }
+  }
+
+  if (release && result.update_available) {
+    try {
+      const archive = await release.tarball();
+      const markdown = archive && readTarEntry(archive, 'package/CHANGELOG.md');
+      if (markdown) result.highlights = changelogHighlights(markdown, installed, release.version);
+    } catch (e) {}
+  }
+
+  // A newer release resets the notice throttle
+  if (previous.notified && previous.latest === result.latest) {
+    result.notified = previous.notified;
+  }
+
   fs.writeFileSync(cacheFile, JSON.stringify(result));
-`], {
-  stdio: 'ignore',
-  windowsHide: true,
-  detached: true
-});
+}
 
-child.unref();
+// Ensure cache directory exists
+if (!fs.existsSync(cacheDir)) {
+  fs.mkdirSync(cacheDir, { recursive: true });
+}
+
+if (process.argv.includes('--check')) {
+  runCheck().catch(() => {});
+} else {
+  notifyIfUpdateAvailable();
+
+  // Run check in background (spawn background process)
+  const child = spawn(process.execPath, [__filename, '--check'], {
+    stdio: 'ignore',
+    windowsHide: true,
+    detached: true
+  });
+
+  child.unref();
+}
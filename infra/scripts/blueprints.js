@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// infra:audit blueprint template registry
+//
+// infra/blueprints/registry.json lists the canonical templates per kind
+// (ci, dependencies) and provider (github-actions, gitlab-ci, ...). Each
+// project uses one provider per kind: the one selected in its
+// .claude/infra-audit-config.json or the install's, else the one detected
+// from its files, else the registry default. Registry and templates are the
+// install's (with its blueprint overlay), falling back to this package's.
+//
+// Used by the installer (`blueprints`) and, via the CLI below, by
+// /infra:audit and /infra:fix:
+//   node blueprints.js                        # selected templates for this project (JSON)
+//   node blueprints.js list [--json]          # every registered provider
+//   node blueprints.js select KIND PROVIDER   # pin this project to a provider
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_NAME, getInstallDir, readInstallConfig } = require('./install-config');
+
+const BLUEPRINTS_DIR = path.join(__dirname, '..', 'blueprints');
+const REGISTRY_NAME = 'registry.json';
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Blueprints of the install in configDir (see install-config.js), or this
+ * package's when it has none
+ */
+function getBlueprintsDir(configDir) {
+  const installed = path.join(getInstallDir(configDir), 'infra', 'blueprints');
+  return fs.existsSync(path.join(installed, REGISTRY_NAME)) ? installed : BLUEPRINTS_DIR;
+}
+
+function readRegistry(configDir) {
+  const file = path.join(getBlueprintsDir(configDir), REGISTRY_NAME);
+  const registry = readJson(file);
+  if (!registry) throw new Error(`Cannot read blueprint registry ${file}`);
+  return registry;
+}
+
+function projectConfigFile(projectDir) {
+  return path.join(projectDir, '.claude', CONFIG_NAME);
+}
+
+/**
+ * Providers selected in config — the install's, overridden by the project's
+ */
+function getConfiguredProviders(projectDir, configDir) {
+  return {
+    ...(readInstallConfig(configDir).blueprints || {}),
+    ...((readJson(projectConfigFile(projectDir)) || {}).blueprints || {}),
+  };
+}
+
+/**
+ * Providers whose files exist in the project, per kind
+ */
+function detectProviders(projectDir, registry = readRegistry()) {
+  const detected = {};
+  for (const [kind, entry] of Object.entries(registry)) {
+    detected[kind] = Object.keys(entry.providers)
+      .filter(id => (entry.providers[id].detect || []).some(p => fs.existsSync(path.join(projectDir, p))));
+  }
+  return detected;
+}
+
+/**
+ * The template each kind uses for a project:
+ * { kind: { provider, name, template, target, selected_by, detected } } —
+ * `template` is an absolute path, `selected_by` is config, detected or default.
+ * Options: configDir (the install, see install-config.js), registry.
+ */
+function selectTemplates(projectDir, options = {}) {
+  const registry = options.registry || readRegistry(options.configDir);
+  const configured = getConfiguredProviders(projectDir, options.configDir);
+  const detected = detectProviders(projectDir, registry);
+  const selection = {};
+  for (const [kind, entry] of Object.entries(registry)) {
+    let provider = entry.default;
+    let selectedBy = 'default';
+    if (configured[kind] && entry.providers[configured[kind]]) {
+      provider = configured[kind];
+      selectedBy = 'config';
+    } else if (detected[kind].length) {
+      provider = detected[kind][0];
+      selectedBy = 'detected';
+    }
+    const p = entry.providers[provider];
+    selection[kind] = {
+      provider,
+      name: p.name,
+      template: path.join(getBlueprintsDir(options.configDir), p.template),
+      target: p.target,
+      selected_by: selectedBy,
+      detected: detected[kind],
+    };
+  }
+  return selection;
+}
+
+/**
+ * Select a provider for a project in its .claude/infra-audit-config.json
+ * (provider null clears it). Throws on an unknown kind or provider.
+ */
+function setProvider(projectDir, kind, provider, registry = readRegistry()) {
+  if (!registry[kind]) {
+    throw new Error(`Unknown blueprint kind "${kind}" (use ${Object.keys(registry).join(', ')})`);
+  }
+  if (provider !== null && !registry[kind].providers[provider]) {
+    throw new Error(`Unknown ${kind} provider "${provider}" (use ${Object.keys(registry[kind].providers).join(', ')})`);
+  }
+  const file = projectConfigFile(projectDir);
+  const config = readJson(file) || {};
+  const blueprints = { ...(config.blueprints || {}) };
+  if (provider === null) delete blueprints[kind];
+  else blueprints[kind] = provider;
+  config.blueprints = Object.keys(blueprints).length ? blueprints : undefined;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n');
+  return file;
+}
+
+module.exports = {
+  BLUEPRINTS_DIR,
+  getBlueprintsDir,
+  readRegistry,
+  detectProviders,
+  selectTemplates,
+  setProvider,
+};
+
+// ──────────────────────────────────────────────────────
+// CLI
+// ──────────────────────────────────────────────────────
+
+function main(argv) {
+  const [command = 'resolve', ...rest] = argv;
+  const registry = readRegistry();
+
+  if (command === 'resolve') {
+    console.log(JSON.stringify(selectTemplates(process.cwd(), { registry }), null, 2));
+    return 0;
+  }
+  if (command === 'list') {
+    if (rest.includes('--json')) {
+      console.log(JSON.stringify(registry, null, 2));
+      return 0;
+    }
+    for (const [kind, entry] of Object.entries(registry)) {
+      console.log(`${kind} (${entry.label}):`);
+      for (const [id, p] of Object.entries(entry.providers)) {
+        console.log(`  ${id.padEnd(16)} ${p.template.padEnd(16)} → ${p.target}${id === entry.default ? '  (default)' : ''}`);
+      }
+    }
+    return 0;
+  }
+  if (command === 'select') {
+    if (rest.length !== 2) throw new Error('Usage: blueprints.js select KIND PROVIDER');
+    const file = setProvider(process.cwd(), rest[0], rest[1], registry);
+    console.log(`blueprints: ${rest[0]} → ${rest[1]} (${file})`);
+    return 0;
+  }
+  console.error('Usage: blueprints.js [resolve|list|select KIND PROVIDER]');
+  return 2;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`blueprints: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -46,6 +46,11 @@ HAS_RENOVATE=false
 [ -f .renovaterc.json ]      && HAS_RENOVATE=true
 [ -f .github/renovate.json ] && HAS_RENOVATE=true
 
+# Dependabot (alternative to Renovate)
+HAS_DEPENDABOT=false
+[ -f .github/dependabot.yml ]  && HAS_DEPENDABOT=true
+[ -f .github/dependabot.yaml ] && HAS_DEPENDABOT=true
+
 # Tests
 HAS_TESTS=false
 [ -d tests ] && HAS_TESTS=true
@@ -79,12 +84,20 @@ if [ "$HAS_VENV" = true ]; then
   fi
 fi
 
+# ── Project config (.infra-audit.json / [tool.infra-audit]) ──
+
+PROJECT_CONFIG=""
+if command -v node >/dev/null 2>&1; then
+  PROJECT_CONFIG=$(node "$(dirname "${BASH_SOURCE[0]}")/project-config.js" resolve 2>/dev/null) || true
+fi
+
 # ── Python3 block: TOML parsing + JSON assembly ──────────
 
 export HAS_GIT HAS_PYPROJECT HAS_RUFF_TOML HAS_PYRIGHT HAS_PRECOMMIT HAS_MAKEFILE
-export HAS_ALEMBIC HAS_VENV HAS_GITIGNORE HAS_DOCKER HAS_UV HAS_RENOVATE HAS_TESTS
+export HAS_ALEMBIC HAS_VENV HAS_GITIGNORE HAS_DOCKER HAS_UV HAS_RENOVATE HAS_DEPENDABOT HAS_TESTS
 export CI_FILES ENV_FILES
 export PYTHON_VERSION RUFF_VERSION PYTEST_VERSION PRECOMMIT_VERSION PYRIGHT_VERSION VULTURE_VERSION
+export PROJECT_CONFIG
 
 exec python3 -c '
 import json, os, sys, glob as G
@@ -97,7 +110,8 @@ areas = {
     "venv": env("HAS_VENV"), "makefile": env("HAS_MAKEFILE"),
     "alembic": env("HAS_ALEMBIC"), "pyright": env("HAS_PYRIGHT"),
     "pre_commit": env("HAS_PRECOMMIT"), "docker": env("HAS_DOCKER"),
-    "uv": env("HAS_UV"), "renovate": env("HAS_RENOVATE"),
+    # "renovate" covers automated dependency updates — Renovate or Dependabot
+    "uv": env("HAS_UV"), "renovate": env("HAS_RENOVATE") or env("HAS_DEPENDABOT"),
     "tests": env("HAS_TESTS"), "gitignore": env("HAS_GITIGNORE"),
 }
 
@@ -253,6 +267,17 @@ for entry in sorted(os.listdir(".")):
             claude_md_files.append(candidate)
 areas["claude_md"] = len(claude_md_files) > 0
 
+# ── Project config: areas switched off or on ──
+config = None
+if os.environ.get("PROJECT_CONFIG"):
+    try:
+        config = json.loads(os.environ["PROJECT_CONFIG"])
+    except ValueError:
+        pass
+if config:
+    for area, enabled in config.get("areas", {}).items():
+        areas[area] = enabled
+
 # ── Assemble output ──
 def ver(k):
     v = os.environ.get(k, "")
@@ -300,6 +325,7 @@ result = {
         "click": has_click,
         "pydantic": has_pydantic,
     },
+    "config": config,
 }
 print(json.dumps(result, indent=2))
 '
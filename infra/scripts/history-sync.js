@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+// infra:audit history sync — share audit runs through a team store
+//
+// Local history files are named by a hash of the project's path, which
+// differs on every machine. In the store, each project has one file named
+// after its project_id (the git remote, see history.js), holding the union of
+// every machine's runs. Pulling merges the store's runs into the local file;
+// pushing merges the local runs into the store's. Runs carry ids, so syncing
+// twice, or from several machines, never duplicates a run.
+//
+// The store is `historySync.store` in the install's infra-audit-config.json
+// (see install-config.js):
+//   /shared/infra-history         a directory (or file:///shared/...)
+//   git+<url>#<branch>            a branch of a git repository (default
+//                                 branch: infra-audit-history)
+//   s3://<bucket>/<prefix>        an S3-compatible bucket — `endpoint` and
+//                                 `region` next to `store`, credentials from
+//                                 AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY
+//                                 (unsigned requests without them), e.g.
+//                                 "endpoint": "http://127.0.0.1:9000" for a
+//                                 local MinIO or other stand-in
+//
+// Used by the installer (`sync-history`) and by /infra:audit, /infra:fix and
+// /infra:status when historySync.auto is set:
+//   node history-sync.js sync|push|pull [--all] [--store LOCATION] [--json] [--auto]
+// `--auto` does nothing unless historySync.auto is true.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const history = require('./history');
+const { getInstallConfigFile, readInstallConfig } = require('./install-config');
+
+const MODES = ['sync', 'push', 'pull'];
+const DEFAULT_BRANCH = 'infra-audit-history';
+// A git push that lost a race with another machine is retried from a fresh fetch
+const GIT_ATTEMPTS = 3;
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * historySync from the install's infra-audit-config.json, with overrides
+ */
+function getSyncSettings(overrides = {}, configDir) {
+  const settings = { store: null, endpoint: null, region: null, auto: false, ...readInstallConfig(configDir).historySync };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * File name of a project in the store — readable, and unique per project_id
+ */
+function getStoreName(projectId) {
+  return `${history.sanitizeName(projectId)}-${sha256(projectId).slice(0, 8)}.json`;
+}
+
+// ──────────────────────────────────────────────────────
+// Stores
+// ──────────────────────────────────────────────────────
+// Each store has a label and async read(name) (text, or null if missing),
+// write(name, text) and close(commit) — close publishes the writes (git) and
+// releases what the store holds.
+
+/**
+ * A shared directory (network drive, synced folder…)
+ */
+function dirStore(dir) {
+  return {
+    label: dir,
+    async read(name) {
+      try {
+        return fs.readFileSync(path.join(dir, name), 'utf8');
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async write(name, text) {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, name);
+      const temp = `${file}.${process.pid}.tmp`;
+      try {
+        fs.writeFileSync(temp, text);
+        fs.renameSync(temp, file);
+      } finally {
+        fs.rmSync(temp, { force: true });
+      }
+    },
+    async close() {},
+  };
+}
+
+/**
+ * A branch of a git repository, fetched into a temporary clone. Writes are
+ * committed and pushed on close; a rejected push throws with `retry` set.
+ */
+function gitStore(url, branch) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'infra-audit-sync-'));
+  const git = (...args) => execFileSync('git', args, {
+    cwd: dir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: 60000,
+  });
+  const firstLine = e => {
+    const lines = String(e.stderr || e.message).trim().split('\n');
+    return (lines.find(line => /^(fatal|error):/.test(line)) || lines[0]).replace(/^(fatal|error):\s*/, '');
+  };
+  const written = [];
+
+  try {
+    git('init', '-q');
+    git('fetch', '-q', '--depth', '1', url, `refs/heads/${branch}`);
+    git('checkout', '-q', 'FETCH_HEAD');
+  } catch (e) {
+    // A store that has never been pushed to starts empty
+    if (!/couldn't find remote ref/i.test(String(e.stderr))) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw new Error(`git fetch of ${url} failed: ${firstLine(e)}`);
+    }
+  }
+
+  const store = dirStore(dir);
+  return {
+    label: `${url} (branch ${branch})`,
+    read: store.read,
+    async write(name, text) {
+      await store.write(name, text);
+      written.push(name);
+    },
+    async close(commit = true) {
+      try {
+        if (!commit || written.length === 0) return;
+        git('add', '--', ...written);
+        if (!git('status', '--porcelain').trim()) return;
+        let identity = [];
+        try {
+          git('config', 'user.email');
+        } catch (e) {
+          identity = ['-c', 'user.name=infra-audit', '-c', `user.email=infra-audit@${os.hostname()}`];
+        }
+        git(...identity, 'commit', '-q', '-m', `infra-audit: sync ${written.map(n => n.replace(/\.json$/, '')).join(', ')}`);
+        try {
+          git('push', '-q', url, `HEAD:refs/heads/${branch}`);
+        } catch (e) {
+          const error = new Error(`git push to ${url} failed: ${firstLine(e)}`);
+          error.retry = /rejected|non-fast-forward|fetch first/i.test(String(e.stderr));
+          throw error;
+        }
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+/**
+ * One request to an S3-compatible endpoint, signed with AWS Signature V4
+ * when credentials are set. Resolves { status, body }.
+ */
+function s3Request(method, url, body, settings) {
+  const target = new URL(url);
+  const payload = Buffer.from(body || '');
+  const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const headers = {
+    host: target.host,
+    'x-amz-content-sha256': sha256(payload),
+    'x-amz-date': amzDate,
+  };
+  if (process.env.AWS_SESSION_TOKEN) headers['x-amz-security-token'] = process.env.AWS_SESSION_TOKEN;
+
+  const accessKey = process.env.AWS_ACCESS_KEY_ID;
+  const secretKey = process.env.AWS_SECRET_ACCESS_KEY;
+  if (accessKey && secretKey) {
+    const names = Object.keys(headers).sort();
+    const canonical = [
+      method,
+      target.pathname,
+      '',
+      ...names.map(name => `${name}:${headers[name]}`),
+      '',
+      names.join(';'),
+      headers['x-amz-content-sha256'],
+    ].join('\n');
+    const scope = `${amzDate.slice(0, 8)}/${settings.region}/s3/aws4_request`;
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac,
+      hmac(hmac(`AWS4${secretKey}`, amzDate.slice(0, 8)), settings.region));
+    const signature = crypto.createHmac('sha256', signingKey)
+      .update(['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n'))
+      .digest('hex');
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+  }
+  if (body !== undefined) {
+    headers['content-type'] = 'application/json';
+    headers['content-length'] = payload.length;
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = target.protocol === 'http:' ? http : https;
+    const req = client.request(target, { method, headers, timeout: 15000 }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out on ${method} ${url}`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * A bucket prefix on S3 or any S3-compatible endpoint (path-style URLs)
+ */
+function s3Store(bucket, prefix, settings) {
+  const region = settings.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+  const endpoint = (settings.endpoint || process.env.AWS_ENDPOINT_URL_S3 || process.env.AWS_ENDPOINT_URL
+    || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+  const objectUrl = name => `${endpoint}/${[bucket, ...prefix.split('/'), name]
+    .filter(Boolean)
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/')}`;
+  const fail = (method, name, res) => {
+    const code = (res.body.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+    return new Error(`S3 ${method} ${name} failed: HTTP ${res.status}${code ? ` ${code}` : ''}`);
+  };
+
+  return {
+    label: `s3://${bucket}/${prefix ? `${prefix}/` : ''} (${endpoint})`,
+    async read(name) {
+      const res = await s3Request('GET', objectUrl(name), undefined, { region });
+      if (res.status === 404) return null;
+      if (res.status !== 200) throw fail('GET', name, res);
+      return res.body;
+    },
+    async write(name, text) {
+      const res = await s3Request('PUT', objectUrl(name), text, { region });
+      if (res.status < 200 || res.status >= 300) throw fail('PUT', name, res);
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Open the store a historySync.store location names
+ */
+function openStore(settings) {
+  const location = settings.store;
+  const s3 = location.match(/^s3:\/\/([^/]+)\/?(.*)$/);
+  if (s3) return s3Store(s3[1], s3[2].replace(/\/+$/, ''), settings);
+  if (location.startsWith('git+')) {
+    const [url, branch] = location.slice(4).split('#');
+    return gitStore(url, branch || DEFAULT_BRANCH);
+  }
+  if (location.startsWith('file://')) return dirStore(new URL(location).pathname);
+  if (/^[a-z][a-z0-9+.-]+:\/\//i.test(location)) {
+    throw new Error(`Unsupported history store ${location} (use a directory, git+<url>#<branch> or s3://<bucket>/<prefix>)`);
+  }
+  return dirStore(path.resolve(location.replace(/^~(?=$|[\\/])/, os.homedir())));
+}
+
+// ──────────────────────────────────────────────────────
+// Sync
+// ──────────────────────────────────────────────────────
+
+/**
+ * Projects to sync: the one in projectDir, or every local history with all.
+ * Returns [{ projectDir, file, history, projectId }].
+ */
+function getSyncTargets(options) {
+  const historyDir = options.historyDir || history.HISTORY_DIR;
+  if (!options.all) {
+    const found = history.findProjectHistory(options.projectDir, historyDir);
+    return [{
+      projectDir: options.projectDir,
+      file: found ? found.file : null,
+      history: found ? found.history : null,
+      projectId: (found && found.history.project_id) || history.getProjectId(options.projectDir),
+    }];
+  }
+  return history.listHistories(historyDir).map(({ file, history: local }) => {
+    const projectDir = local.path && fs.existsSync(local.path) ? local.path : null;
+    return {
+      projectDir,
+      file,
+      history: local,
+      projectId: local.project_id || (projectDir && history.getProjectId(projectDir)),
+    };
+  });
+}
+
+/**
+ * Pull and/or push one project. Returns { project, project_id, file, store,
+ * action, pulled, pushed, reason } — action is synced, current or skipped.
+ */
+async function syncProject(store, target, mode, options) {
+  const historyDir = options.historyDir || history.HISTORY_DIR;
+  const project = target.history ? target.history.project : history.getProjectName(target.projectDir);
+  const result = { project, project_id: target.projectId, file: target.file, store: null, pulled: 0, pushed: 0 };
+  if (!target.projectId) {
+    return { ...result, action: 'skipped', reason: 'no git remote to identify the project across machines' };
+  }
+  if (!target.history && mode === 'push') {
+    return { ...result, action: 'skipped', reason: 'no local audit history' };
+  }
+
+  const name = getStoreName(target.projectId);
+  result.store = name;
+  const text = await store.read(name);
+  let remote = null;
+  if (text !== null) {
+    try {
+      remote = JSON.parse(text);
+    } catch (e) {}
+    if (!remote || history.validateHistory(history.migrateHistory(remote)).length > 0) {
+      throw new Error(`${name} in the store is not a valid history file`);
+    }
+  }
+  if (!target.history && !remote) {
+    return { ...result, action: 'skipped', reason: 'no audit history here or in the store' };
+  }
+
+  const merged = history.mergeHistories(target.history, remote, history.getRetention(options.retention, options.configDir));
+  merged.project_id = target.projectId;
+  if (!target.history) {
+    // Named as this machine's slash commands look it up
+    merged.project = history.getProjectName(target.projectDir);
+    merged.path = history.getProjectPath(target.projectDir);
+    delete merged.stale;
+  }
+  const keysOf = source => new Set(source ? history.migrateHistory(source).runs.map(history.runKey) : []);
+  const localKeys = keysOf(target.history);
+  const remoteKeys = keysOf(remote);
+
+  if (mode !== 'push') {
+    const local = history.migrateHistory(merged);
+    const file = target.file || history.getHistoryFile(local.project, local.path, historyDir);
+    if (!target.history || JSON.stringify(local) !== JSON.stringify(target.history)) {
+      history.writeHistory(file, local);
+    }
+    result.file = file;
+    result.pulled = merged.runs.filter(run => !localKeys.has(history.runKey(run))).length;
+  }
+  if (mode !== 'pull') {
+    const shared = { ...merged, path: remote ? remote.path : merged.path };
+    delete shared.stale;
+    const next = history.migrateHistory(shared);
+    const errors = history.validateHistory(next);
+    if (errors.length > 0) throw new Error(`Refusing to push invalid history ${name}:\n  ${errors.join('\n  ')}`);
+    if (!remote || JSON.stringify(next) !== JSON.stringify(remote)) {
+      await store.write(name, JSON.stringify(next, null, 2) + '\n');
+    }
+    result.pushed = merged.runs.filter(run => !remoteKeys.has(history.runKey(run))).length;
+  }
+  return { ...result, action: result.pulled + result.pushed > 0 ? 'synced' : 'current' };
+}
+
+/**
+ * Sync audit history with the team store. Options: mode (sync, push or
+ * pull — default sync), projectDir (default cwd), all (every local history),
+ * store/endpoint/region (override historySync), configDir (the install
+ * whose config holds historySync, see install-config.js), historyDir, retention.
+ * Returns { store, results } with one syncProject result per project; a
+ * project that fails gets action `error` and a reason. Throws when no store
+ * is configured or the store can't be opened.
+ */
+async function syncHistory(options = {}) {
+  const mode = options.mode || 'sync';
+  if (!MODES.includes(mode)) throw new Error(`Unknown sync mode ${mode} (use ${MODES.join(', ')})`);
+  const settings = getSyncSettings({ store: options.store, endpoint: options.endpoint, region: options.region }, options.configDir);
+  if (!settings.store) {
+    throw new Error(`No history store configured — set historySync.store in ${getInstallConfigFile(options.configDir)} or pass --store`);
+  }
+  const targets = getSyncTargets({ ...options, projectDir: options.projectDir || process.cwd() });
+
+  for (let attempt = 1; ; attempt++) {
+    const store = openStore(settings);
+    const results = [];
+    try {
+      for (const target of targets) {
+        try {
+          results.push(await syncProject(store, target, mode, options));
+        } catch (e) {
+          results.push({ project: target.history ? target.history.project : null, project_id: target.projectId, action: 'error', reason: e.message });
+        }
+      }
+    } catch (e) {
+      await store.close(false);
+      throw e;
+    }
+    try {
+      await store.close(true);
+    } catch (e) {
+      if (e.retry && attempt < GIT_ATTEMPTS) continue;
+      throw e;
+    }
+    return { store: store.label, results };
+  }
+}
+
+module.exports = {
+  MODES,
+  getSyncSettings,
+  getStoreName,
+  openStore,
+  syncHistory,
+};
+
+// ──────────────────────────────────────────────────────
+// CLI
+// ──────────────────────────────────────────────────────
+
+async function main(argv) {
+  const [mode = 'sync', ...rest] = argv;
+  const option = name => {
+    const i = rest.indexOf(name);
+    return i !== -1 && rest[i + 1] && !rest[i + 1].startsWith('--') ? rest[i + 1] : undefined;
+  };
+  if (!MODES.includes(mode)) {
+    console.error(`Usage: history-sync.js ${MODES.join('|')} [--all] [--store LOCATION] [--json] [--auto]`);
+    return 2;
+  }
+  if (rest.includes('--auto')) {
+    const settings = getSyncSettings();
+    if (!settings.auto || !settings.store) return 0;
+  }
+
+  const { store, results } = await syncHistory({ mode, all: rest.includes('--all'), store: option('--store') });
+  if (rest.includes('--json')) {
+    console.log(JSON.stringify({ store, results }, null, 2));
+  } else {
+    for (const r of results) {
+      const counts = r.action === 'synced' ? ` (pulled ${r.pulled}, pushed ${r.pushed})` : '';
+      const reason = r.reason ? ` (${r.reason})` : '';
+      console.log(`${r.action.padEnd(8)} ${r.project || r.project_id}${counts}${reason}`);
+    }
+  }
+  return results.some(r => r.action === 'error') ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, e => {
+    console.error(`history-sync: ${e.message}`);
+    process.exitCode = 1;
+  });
+}
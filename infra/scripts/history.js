@@ -0,0 +1,664 @@
+#!/usr/bin/env node
+// infra:audit history — reader, validator and writer
+//
+// One JSON file per project in ~/.claude/infra/history/, named
+// {sanitized-name}-{path-hash}.json (legacy: {sanitized-name}.json).
+// The path hash differs between machines; `project_id` (from the git
+// remote) identifies the project in a shared store (history-sync.js).
+// Schema v2 (infra/history.schema.json) keeps every run in a `runs` array;
+// v1 files only have the latest audit's top-level fields.
+//
+// Used by the installer (`status`, `migrate-history`) and, via the CLI below,
+// by /infra:audit and /infra:fix:
+//   node history.js record --type audit --project NAME --score N \
+//     --critical N --warnings N --info N [--areas a,b,...] [--findings FILE|-]
+//     [--retention N]
+//   node history.js migrate [--dry-run] [--json]
+//   node history.js validate [FILE...]
+// `record` first applies the project config's severity overrides and
+// suppressions (project-config.js) to --findings.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { validateSchema } = require('./json-schema');
+const projectConfig = require('./project-config');
+const { readInstallConfig } = require('./install-config');
+
+// The slash commands always write here, whatever the install location
+const HISTORY_DIR = path.join(os.homedir(), '.claude', 'infra', 'history');
+const SCHEMA_FILE = path.join(__dirname, '..', 'history.schema.json');
+
+const SCHEMA_VERSION = 2;
+const DEFAULT_RETENTION = 50;
+
+// ──────────────────────────────────────────────────────
+// Project Identity
+// ──────────────────────────────────────────────────────
+
+/**
+ * Same sanitizing the slash commands apply to project names
+ */
+function sanitizeName(name) {
+  return name.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * `[project] name` from pyproject.toml, else the directory name
+ */
+function getProjectName(projectDir) {
+  try {
+    const toml = fs.readFileSync(path.join(projectDir, 'pyproject.toml'), 'utf8');
+    const section = toml.split(/^\[project\]\s*$/m)[1];
+    if (section) {
+      const match = section.split(/^\[/m)[0].match(/^name\s*=\s*["']([^"']+)["']/m);
+      if (match) return match[1];
+    }
+  } catch (e) {}
+  return path.basename(path.resolve(projectDir));
+}
+
+/**
+ * Absolute project path as `$(pwd)` reports it — symlinked paths are kept
+ * as typed when the project is the current directory
+ */
+function getProjectPath(projectDir) {
+  const dir = path.resolve(projectDir);
+  if (process.env.PWD && dir === process.cwd()) {
+    try {
+      if (fs.realpathSync(process.env.PWD) === fs.realpathSync(dir)) return process.env.PWD;
+    } catch (e) {}
+  }
+  return dir;
+}
+
+/**
+ * First 8 hex chars of sha256(path) — matches `echo -n "$(pwd)" | sha256sum`
+ */
+function hashPath(projectPath) {
+  return crypto.createHash('sha256').update(projectPath).digest('hex').slice(0, 8);
+}
+
+function getPathHash(projectDir) {
+  return hashPath(getProjectPath(projectDir));
+}
+
+/**
+ * Git remote URL without scheme, credentials, port and .git, e.g.
+ * git@github.com:acme/api.git and https://github.com/acme/api → github.com/acme/api
+ */
+function normalizeRemote(url) {
+  const trimmed = url.trim().replace(/\/+$/, '').replace(/\.git$/, '');
+  const full = trimmed.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/]*@)?([^/:]+)(?::\d*)?\/(.+)$/i);
+  const scp = trimmed.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/);
+  const match = full || scp;
+  return match ? `${match[1].toLowerCase()}/${match[2]}` : trimmed;
+}
+
+/**
+ * Project identity shared by every clone: the normalized `origin` remote
+ * (else the first remote), plus `#subdir` for a project below the repo root.
+ * Null outside git or without a remote.
+ */
+function getProjectId(projectDir) {
+  const git = (...args) => execFileSync('git', args, {
+    cwd: projectDir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 5000,
+  }).trim();
+  try {
+    const remotes = git('remote').split('\n').filter(Boolean);
+    if (remotes.length === 0) return null;
+    const remote = normalizeRemote(git('remote', 'get-url', remotes.includes('origin') ? 'origin' : remotes[0]));
+    const subdir = git('rev-parse', '--show-prefix').replace(/\/$/, '');
+    return subdir ? `${remote}#${subdir}` : remote;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Path-hashed history file for a project name and path
+ */
+function getHistoryFile(project, projectPath, historyDir = HISTORY_DIR) {
+  return path.join(historyDir, `${sanitizeName(project)}-${hashPath(projectPath)}.json`);
+}
+
+// ──────────────────────────────────────────────────────
+// Validation
+// ──────────────────────────────────────────────────────
+
+let schema = null;
+
+/**
+ * Problems with a history object against infra/history.schema.json ([] if valid)
+ */
+function validateHistory(history) {
+  if (!schema) schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+  return validateSchema(history, schema);
+}
+
+// ──────────────────────────────────────────────────────
+// Reading
+// ──────────────────────────────────────────────────────
+
+/**
+ * Read and parse a history file (null if missing or unreadable)
+ */
+function readHistory(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * History for a project directory — path-hashed file first, then legacy.
+ * Returns { file, history } or null.
+ */
+function findProjectHistory(projectDir, historyDir = HISTORY_DIR) {
+  const name = sanitizeName(getProjectName(projectDir));
+  const candidates = [
+    path.join(historyDir, `${name}-${getPathHash(projectDir)}.json`),
+    path.join(historyDir, `${name}.json`),
+  ];
+  for (const file of candidates) {
+    const history = readHistory(file);
+    if (history) return { file, history };
+  }
+  return null;
+}
+
+/**
+ * Every readable history file, sorted by file name
+ */
+function listHistories(historyDir = HISTORY_DIR) {
+  if (!fs.existsSync(historyDir)) return [];
+  return fs.readdirSync(historyDir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => ({ file: path.join(historyDir, f), history: readHistory(path.join(historyDir, f)) }))
+    .filter(entry => entry.history);
+}
+
+function byDate(a, b) {
+  return String(a.date).localeCompare(String(b.date)) || String(a.recorded_at || '').localeCompare(String(b.recorded_at || ''));
+}
+
+/**
+ * Chronological runs — schema v2's `runs`, or seeded from v1's top-level fields
+ */
+function getRuns(history) {
+  if (Array.isArray(history.runs)) return [...history.runs].sort(byDate);
+
+  const counts = { score: history.score, critical: history.critical, warnings: history.warnings, info: history.info };
+  const runs = [];
+  if (history.last_audit) runs.push({ date: history.last_audit, type: 'audit', ...counts });
+  if (history.last_fix) runs.push({ date: history.last_fix, type: 'fix', ...counts });
+  return runs.sort(byDate);
+}
+
+// ──────────────────────────────────────────────────────
+// Migration and Retention
+// ──────────────────────────────────────────────────────
+
+/**
+ * Retention from --retention, else `history.retention` in the install's
+ * infra-audit-config.json (see install-config.js), else 50. 0 keeps every run.
+ */
+function getRetention(override, configDir) {
+  if (override !== undefined) return override;
+  const config = readInstallConfig(configDir);
+  const configured = config.history && config.history.retention;
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_RETENTION;
+}
+
+/**
+ * Keep only the newest `retention` runs (0 keeps all)
+ */
+function pruneRuns(runs, retention = DEFAULT_RETENTION) {
+  return retention > 0 ? runs.slice(-retention) : runs;
+}
+
+/**
+ * Identity of a run: its `id`, or for runs recorded before ids its contents
+ */
+function runKey(run) {
+  return run.id || JSON.stringify([run.date, run.type, run.score, run.critical, run.warnings, run.info]);
+}
+
+/**
+ * Merge run lists, dropping duplicates
+ */
+function mergeRuns(...lists) {
+  const seen = new Set();
+  const merged = [];
+  for (const run of [].concat(...lists).sort(byDate)) {
+    const key = runKey(run);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(run);
+  }
+  return merged;
+}
+
+/**
+ * Bring any history (v1 or v2) to schema v2, with fields in canonical order.
+ * `defaults` fills in project/path that v1 files may lack.
+ */
+function migrateHistory(history, defaults = {}) {
+  const {
+    schema_version: _version,
+    project, path: projectPath, project_id: projectId, last_audit: lastAudit, last_fix: lastFix,
+    score, critical, warnings, info, findings, runs,
+    ...extra
+  } = history;
+
+  const migrated = {
+    schema_version: SCHEMA_VERSION,
+    project: project || defaults.project,
+    path: projectPath || defaults.path,
+  };
+  if (projectId || defaults.project_id) migrated.project_id = projectId || defaults.project_id;
+  migrated.last_audit = lastAudit;
+  if (lastFix) migrated.last_fix = lastFix;
+  Object.assign(migrated, {
+    score,
+    critical: critical || 0,
+    warnings: warnings || 0,
+    info: info || 0,
+    findings: Array.isArray(findings) ? findings : [],
+    runs: getRuns(history),
+    ...extra,
+  });
+  return migrated;
+}
+
+// Summary fields that describe the latest run
+const SUMMARY_FIELDS = ['score', 'critical', 'warnings', 'info', 'findings', 'areas', 'suppressed', 'target_score'];
+
+/**
+ * Combine this machine's history of a project with another copy (from a
+ * shared store): the union of their runs, with the summary of whichever has
+ * the latest run. `path` and `stale` stay local. Either side may be null.
+ */
+function mergeHistories(local, other, retention = DEFAULT_RETENTION) {
+  if (!other) return migrateHistory(local);
+  const remote = migrateHistory(other);
+  if (!local) return remote;
+  const base = migrateHistory(local);
+
+  const runs = mergeRuns(base.runs, remote.runs);
+  const localKeys = new Set(base.runs.map(runKey));
+  const latest = runs[runs.length - 1];
+  const source = latest && !localKeys.has(runKey(latest)) ? remote : base;
+
+  const merged = { ...base, project_id: base.project_id || remote.project_id };
+  for (const field of SUMMARY_FIELDS) {
+    if (source[field] !== undefined) merged[field] = source[field];
+    else delete merged[field];
+  }
+  const latestDate = field => [base[field], remote[field]].filter(Boolean).sort().pop();
+  merged.last_audit = latestDate('last_audit');
+  if (latestDate('last_fix')) merged.last_fix = latestDate('last_fix');
+  merged.runs = pruneRuns(runs, retention);
+  return migrateHistory(merged);
+}
+
+// ──────────────────────────────────────────────────────
+// Writing
+// ──────────────────────────────────────────────────────
+
+/**
+ * Validate and atomically write a history file (temp file + rename)
+ */
+function writeHistory(file, history) {
+  const errors = validateHistory(history);
+  if (errors.length > 0) {
+    throw new Error(`Refusing to write invalid history ${path.basename(file)}:\n  ${errors.join('\n  ')}`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(temp, JSON.stringify(history, null, 2) + '\n');
+    fs.renameSync(temp, file);
+  } finally {
+    fs.rmSync(temp, { force: true });
+  }
+}
+
+function today() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Append an audit or fix run to a project's history: migrates v1 and legacy
+ * files, updates the top-level summary, applies retention, writes atomically
+ * and removes the legacy file. An unreadable existing file is kept aside as
+ * *.corrupt-<timestamp> rather than overwritten.
+ * Returns { file, history, migratedFrom, corrupt }.
+ */
+function recordRun(projectDir, run, options = {}) {
+  const historyDir = options.historyDir || HISTORY_DIR;
+  const projectPath = getProjectPath(projectDir);
+  const project = run.project || getProjectName(projectDir);
+  const file = getHistoryFile(project, projectPath, historyDir);
+  const legacyFile = path.join(historyDir, `${sanitizeName(project)}.json`);
+
+  let corrupt = null;
+  let existing = null;
+  let migratedFrom = null;
+  for (const candidate of [file, legacyFile]) {
+    if (!fs.existsSync(candidate)) continue;
+    existing = readHistory(candidate);
+    if (existing) {
+      if (candidate !== file) migratedFrom = candidate;
+      break;
+    }
+    corrupt = `${candidate}.corrupt-${Date.now()}`;
+    fs.renameSync(candidate, corrupt);
+  }
+
+  const base = existing ? migrateHistory(existing, { project, path: projectPath }) : null;
+  const date = run.date || today();
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    date,
+    recorded_at: new Date().toISOString(),
+    type: run.type,
+    score: run.score,
+    critical: run.critical,
+    warnings: run.warnings,
+    info: run.info,
+  };
+  // Per-run findings let `gate` diff any two runs
+  if (run.findings) entry.findings = run.findings;
+
+  const history = {
+    ...(base || {}),
+    schema_version: SCHEMA_VERSION,
+    project,
+    path: projectPath,
+    project_id: getProjectId(projectDir) || (base && base.project_id) || undefined,
+    last_audit: run.type === 'audit' ? date : (base && base.last_audit) || date,
+    score: run.score,
+    critical: run.critical,
+    warnings: run.warnings,
+    info: run.info,
+    findings: run.findings || (base && base.findings) || [],
+    runs: pruneRuns([...(base ? base.runs : []), entry], getRetention(options.retention, options.configDir)),
+  };
+  if (run.type === 'fix') history.last_fix = date;
+  // Keep the previous run's areas when this one doesn't list them
+  if (run.areas) history.areas = run.areas;
+  // Project config (.infra-audit.json): what was suppressed, and the target
+  if (run.suppressed) history.suppressed = run.suppressed;
+  else if (run.findings) delete history.suppressed;
+  if (typeof run.target_score === 'number') history.target_score = run.target_score;
+  else delete history.target_score;
+  // A new audit covers every infra edit made before it
+  if (run.type === 'audit') delete history.stale;
+
+  writeHistory(file, migrateHistory(history));
+  if (migratedFrom) fs.unlinkSync(migratedFrom);
+  return { file, history, migratedFrom, corrupt };
+}
+
+/**
+ * When the project was last audited, in ms: its latest audit run's
+ * recorded_at, else — for runs recorded without one — the start of the
+ * last_audit day. null if it has no audit.
+ */
+function getLastAuditTime(history) {
+  const times = (history.runs || [])
+    .filter(r => r.type === 'audit' && typeof r.recorded_at === 'string')
+    .map(r => Date.parse(r.recorded_at))
+    .filter(t => !Number.isNaN(t));
+  if (times.length) return Math.max(...times);
+  const day = Date.parse(`${history.last_audit}T00:00:00`);
+  return Number.isNaN(day) ? null : day;
+}
+
+/**
+ * Record infra files edited since the project's last audit (the infra-edits
+ * hook), marking the audit stale until the next one. Only projects with
+ * history are marked. Returns { file, history }, or null if there is none.
+ */
+function markStale(projectDir, files, options = {}) {
+  const found = findProjectHistory(projectDir, options.historyDir || HISTORY_DIR);
+  if (!found || files.length === 0) return null;
+
+  const history = migrateHistory(found.history, { path: getProjectPath(projectDir) });
+  const previous = history.stale || { since: options.date || today(), files: [] };
+  history.stale = {
+    since: previous.since,
+    files: [...new Set([...previous.files, ...files])].sort(),
+  };
+  writeHistory(found.file, history);
+  return { file: found.file, history };
+}
+
+/**
+ * Upgrade every history file in the directory to path-hashed schema v2.
+ * Legacy {name}.json files move to {name}-{hash}.json (merged into it when
+ * both exist); v1 files are upgraded in place. Returns one result per file:
+ * { file, action, target, reason } with action one of current, updated
+ * (rewritten after pruning or reordering), upgraded, migrated, merged,
+ * skipped, invalid.
+ */
+function migrateAll(options = {}) {
+  const historyDir = options.historyDir || HISTORY_DIR;
+  const retention = getRetention(options.retention, options.configDir);
+  if (!fs.existsSync(historyDir)) return [];
+
+  const results = [];
+  for (const name of fs.readdirSync(historyDir).filter(f => f.endsWith('.json')).sort()) {
+    const file = path.join(historyDir, name);
+    const history = readHistory(file);
+    if (!history) {
+      results.push({ file, action: 'invalid', reason: 'not valid JSON' });
+      continue;
+    }
+
+    const hashed = /-[0-9a-f]{8}\.json$/.test(name);
+    const project = history.project || name.replace(/(-[0-9a-f]{8})?\.json$/, '');
+    if (!history.path) {
+      results.push({ file, action: 'skipped', reason: 'no project path recorded — the next /infra:audit in the project migrates it' });
+      continue;
+    }
+
+    const target = getHistoryFile(project, history.path, historyDir);
+    let migrated = migrateHistory(history, { project });
+    migrated.runs = pruneRuns(migrated.runs, retention);
+    let action = history.schema_version === SCHEMA_VERSION ? 'current' : 'upgraded';
+
+    if (target !== file) {
+      if (hashed) {
+        // Named like a hashed file, but for a different path — leave it be
+        results.push({ file, action: 'skipped', reason: `path hash doesn't match ${history.path}` });
+        continue;
+      }
+      const current = readHistory(target);
+      if (current) {
+        const base = migrateHistory(current, { project });
+        migrated = { ...base, runs: pruneRuns(mergeRuns(migrated.runs, base.runs), retention) };
+        action = 'merged';
+      } else {
+        action = 'migrated';
+      }
+    }
+
+    const errors = validateHistory(migrated);
+    if (errors.length > 0) {
+      results.push({ file, action: 'invalid', target, reason: errors.join('; ') });
+      continue;
+    }
+    if (action === 'current' && JSON.stringify(migrated) === JSON.stringify(history)) {
+      results.push({ file, action, target });
+      continue;
+    }
+    if (action === 'current') action = 'updated';
+
+    if (!options.dryRun) {
+      writeHistory(target, migrated);
+      if (target !== file) fs.unlinkSync(file);
+    }
+    results.push({ file, action, target });
+  }
+  return results;
+}
+
+module.exports = {
+  HISTORY_DIR,
+  SCHEMA_VERSION,
+  DEFAULT_RETENTION,
+  sanitizeName,
+  getProjectName,
+  getProjectPath,
+  getProjectId,
+  normalizeRemote,
+  getPathHash,
+  getHistoryFile,
+  validateHistory,
+  readHistory,
+  findProjectHistory,
+  listHistories,
+  getRuns,
+  pruneRuns,
+  getRetention,
+  runKey,
+  mergeRuns,
+  migrateHistory,
+  mergeHistories,
+  writeHistory,
+  recordRun,
+  getLastAuditTime,
+  markStale,
+  migrateAll,
+};
+
+// ──────────────────────────────────────────────────────
+// CLI
+// ──────────────────────────────────────────────────────
+
+function parseOptions(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next !== undefined && (!next.startsWith('--') || next === '-')) {
+      options[key] = next;
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+  return options;
+}
+
+function countOption(options, key) {
+  const value = Number(options[key]);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`--${key} must be a whole number`);
+  return value;
+}
+
+function main(argv) {
+  const [command, ...rest] = argv;
+  const options = parseOptions(rest);
+  const retention = options.retention !== undefined ? countOption(options, 'retention') : undefined;
+
+  if (command === 'record') {
+    if (!['audit', 'fix'].includes(options.type)) throw new Error('--type must be audit or fix');
+    const score = Number(options.score);
+    if (options.score === undefined || Number.isNaN(score)) throw new Error('--score is required');
+
+    let findings;
+    const areas = typeof options.areas === 'string'
+      ? options.areas.split(',').map(a => a.trim()).filter(Boolean)
+      : undefined;
+    if (options.findings) {
+      const text = fs.readFileSync(options.findings === '-' ? 0 : options.findings, 'utf8');
+      findings = JSON.parse(text);
+      if (!Array.isArray(findings)) throw new Error('--findings must be a JSON array');
+    }
+    const run = {
+      type: options.type,
+      project: typeof options.project === 'string' ? options.project : undefined,
+      score,
+      critical: countOption(options, 'critical'),
+      warnings: countOption(options, 'warnings'),
+      info: countOption(options, 'info'),
+      findings,
+      areas,
+      date: typeof options.date === 'string' ? options.date : undefined,
+    };
+
+    // Severity overrides and suppressions from the project's config
+    const config = projectConfig.resolveProjectConfig(process.cwd());
+    for (const error of config.errors) console.error(`history: ${config.file || 'project config'}: ${error} — ignored`);
+    run.target_score = config.target_score;
+    if (findings) {
+      const applied = projectConfig.applyProjectConfig(findings, config);
+      run.findings = applied.findings;
+      if (applied.suppressed.length) run.suppressed = applied.suppressed;
+      if (applied.changed) {
+        Object.assign(run, projectConfig.scoreFindings(applied.findings));
+        console.error(`history: ${config.file} applied — ${applied.suppressed.length} suppressed, score ${run.score.toFixed(1)}`);
+      }
+    }
+
+    const { corrupt } = recordRun(process.cwd(), run, { retention });
+    if (corrupt) console.error(`history: unreadable history file kept as ${corrupt}`);
+    return 0;
+  }
+
+  if (command === 'migrate') {
+    const results = migrateAll({ dryRun: Boolean(options['dry-run']), retention });
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      for (const r of results) {
+        const target = r.target && r.target !== r.file ? ` → ${path.basename(r.target)}` : '';
+        const reason = r.reason ? ` (${r.reason})` : '';
+        console.log(`${r.action.padEnd(9)} ${path.basename(r.file)}${target}${reason}`);
+      }
+    }
+    return results.some(r => r.action === 'invalid') ? 1 : 0;
+  }
+
+  if (command === 'validate') {
+    const files = rest.filter(a => !a.startsWith('--'));
+    const targets = files.length ? files : listHistories().map(e => e.file);
+    let failed = 0;
+    for (const file of targets) {
+      const history = readHistory(file);
+      const errors = history ? validateHistory(history) : ['not valid JSON'];
+      if (errors.length) {
+        failed++;
+        console.log(`invalid   ${file}\n  ${errors.join('\n  ')}`);
+      } else {
+        console.log(`valid     ${file}`);
+      }
+    }
+    return failed ? 1 : 0;
+  }
+
+  console.error('Usage: history.js record|migrate|validate [options]');
+  return 2;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`history: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
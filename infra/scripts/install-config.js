@@ -0,0 +1,58 @@
+// infra:audit install location and its infra-audit-config.json
+//
+// These scripts run from two places: from an install (<configDir>/infra/scripts/,
+// called by the slash commands) and from the npm package (the installer CLI,
+// possibly in the npx cache). Only the first sits next to the install's config,
+// so the config directory is resolved the same way the installer resolves it.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CONFIG_NAME = 'infra-audit-config.json';
+const MANIFEST_NAME = 'infra-audit-manifest.json';
+
+// This file is installed to <configDir>/infra/scripts/
+const OWN_DIR = path.resolve(__dirname, '..', '..');
+
+/**
+ * The global config directory: CLAUDE_CONFIG_DIR, else ~/.claude
+ */
+function getGlobalConfigDir() {
+  const dir = process.env.CLAUDE_CONFIG_DIR;
+  if (!dir) return path.join(os.homedir(), '.claude');
+  return dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(2)) : dir;
+}
+
+/**
+ * The install these scripts belong to: `configDir` when given, else the
+ * install this file runs from, else the global one
+ */
+function getInstallDir(configDir) {
+  if (configDir) return path.resolve(configDir);
+  if (fs.existsSync(path.join(OWN_DIR, MANIFEST_NAME))) return OWN_DIR;
+  return getGlobalConfigDir();
+}
+
+function getInstallConfigFile(configDir) {
+  return path.join(getInstallDir(configDir), CONFIG_NAME);
+}
+
+/**
+ * The install's infra-audit-config.json ({} if missing or unreadable)
+ */
+function readInstallConfig(configDir) {
+  try {
+    return JSON.parse(fs.readFileSync(getInstallConfigFile(configDir), 'utf8')) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+module.exports = {
+  CONFIG_NAME,
+  getGlobalConfigDir,
+  getInstallDir,
+  getInstallConfigFile,
+  readInstallConfig,
+};
@@ -0,0 +1,63 @@
+// Minimal JSON Schema validator for the infra:audit schemas
+//
+// Supports the subset history.schema.json and project-config.schema.json
+// use: type, const, enum, required, properties, additionalProperties,
+// items, minimum, maximum, minLength, pattern. No dependencies, so it
+// works from an installed infra/scripts/ directory.
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema. Returns "where: problem" strings.
+ */
+function validateSchema(value, rules, where = '') {
+  const at = where || '(root)';
+  const errors = [];
+  const child = key => (where ? `${where}.${key}` : key);
+
+  if (rules.type) {
+    const types = [].concat(rules.type);
+    const actual = typeOf(value);
+    const ok = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+    if (!ok) return [`${at}: must be ${types.join(' or ')}`];
+  }
+  if ('const' in rules && value !== rules.const) errors.push(`${at}: must be ${JSON.stringify(rules.const)}`);
+  if (rules.enum && !rules.enum.includes(value)) errors.push(`${at}: must be one of ${rules.enum.join(', ')}`);
+  if (typeof value === 'number') {
+    if (rules.minimum !== undefined && value < rules.minimum) errors.push(`${at}: must be >= ${rules.minimum}`);
+    if (rules.maximum !== undefined && value > rules.maximum) errors.push(`${at}: must be <= ${rules.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (rules.minLength !== undefined && value.length < rules.minLength) errors.push(`${at}: must not be empty`);
+    if (rules.pattern && !new RegExp(rules.pattern).test(value)) errors.push(`${at}: must match ${rules.pattern}`);
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of rules.required || []) {
+      if (!(key in value)) errors.push(`${child(key)}: is required`);
+    }
+    const properties = rules.properties || {};
+    for (const [key, sub] of Object.entries(properties)) {
+      if (key in value) errors.push(...validateSchema(value[key], sub, child(key)));
+    }
+    if (rules.additionalProperties !== undefined) {
+      for (const key of Object.keys(value).filter(k => !(k in properties))) {
+        if (rules.additionalProperties === false) {
+          errors.push(`${child(key)}: is not a known setting`);
+        } else if (typeof rules.additionalProperties === 'object') {
+          errors.push(...validateSchema(value[key], rules.additionalProperties, child(key)));
+        }
+      }
+    }
+  }
+  if (Array.isArray(value) && rules.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, rules.items, `${where}[${i}]`)));
+  }
+  return errors;
+}
+
+module.exports = { validateSchema };
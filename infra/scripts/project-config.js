@@ -0,0 +1,492 @@
+#!/usr/bin/env node
+// infra:audit project configuration — loader, validator and resolver
+//
+// A project configures its audit in .infra-audit.json, or in a
+// [tool.infra-audit] table in pyproject.toml (.infra-audit.json wins):
+//   areas         area → false (never audit) or true (audit even if not detected)
+//   severity      [{ area?, match, severity, reason? }] overrides for matching findings
+//   suppress      [{ area?, match, reason, expires? }] findings left out of the score
+//   target_score  score the project aims for — the default `gate` threshold
+// `match` is a case-insensitive substring of the finding's description.
+//
+// Used by the installer (`config validate`, `gate`, `status`), by detect.sh,
+// and by history.js when recording a run:
+//   node project-config.js resolve          # resolved settings for this project (JSON)
+//   node project-config.js validate [FILE]  # check a config file
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./json-schema');
+
+const CONFIG_FILE = '.infra-audit.json';
+const PYPROJECT = 'pyproject.toml';
+const TOOL_KEY = 'infra-audit';
+const SCHEMA_FILE = path.join(__dirname, '..', 'project-config.schema.json');
+
+// Audit areas, as detect.sh names them
+const AREAS = [
+  'git', 'ruff', 'pyright', 'pre_commit', 'ci', 'renovate', 'pyproject', 'uv', 'venv',
+  'docker', 'makefile', 'alembic', 'env', 'tests', 'deadcode', 'claude_md', 'gitignore',
+];
+
+const SEVERITY_COUNTS = { CRITICAL: 'critical', WARNING: 'warnings', INFO: 'info' };
+
+// Scoring, as /infra:audit states it: start at 10.0, minimum 0.0, and this
+// much per finding. The one copy of the rules — the installer's gate,
+// reports and dashboard use it too.
+const MAX_SCORE = 10;
+const SCORE_IMPACT = { CRITICAL: -2, WARNING: -0.5, INFO: 0 };
+
+let schema = null;
+
+/**
+ * "pre-commit" and "claude-md" (as the slash commands spell them) → detect.sh names
+ */
+function normalizeArea(name) {
+  return String(name).trim().toLowerCase().replace(/-/g, '_');
+}
+
+function today() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// ──────────────────────────────────────────────────────
+// TOML
+// ──────────────────────────────────────────────────────
+
+/**
+ * Drop a trailing # comment, leaving # inside strings alone
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '#') {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Split a dotted key (tool."infra-audit".areas) into its parts
+ */
+function splitKey(text) {
+  const keys = [];
+  const re = /\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|([A-Za-z0-9_-]+))\s*(\.|$)/y;
+  let match;
+  while (re.lastIndex < text.length && (match = re.exec(text))) {
+    keys.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+    if (!match[4]) break;
+  }
+  if (re.lastIndex !== text.length || keys.length === 0) throw new Error(`invalid key "${text.trim()}"`);
+  return keys;
+}
+
+/**
+ * Parse one TOML value starting at `pos`. Returns [value, next position].
+ * Strings, numbers, booleans, dates (kept as strings), arrays and inline
+ * tables — enough for [tool.infra-audit]; multi-line strings are not supported.
+ */
+function parseValue(text, pos) {
+  const skip = p => {
+    while (p < text.length && /\s/.test(text[p])) p++;
+    return p;
+  };
+  pos = skip(pos);
+  const rest = text.slice(pos);
+  let match;
+
+  if (rest.startsWith('"""') || rest.startsWith("'''")) throw new Error('multi-line strings are not supported');
+  if (rest[0] === '"') {
+    match = /^"((?:[^"\\\n]|\\.)*)"/.exec(rest);
+    if (!match) throw new Error('unterminated string');
+    return [JSON.parse(`"${match[1]}"`), pos + match[0].length];
+  }
+  if (rest[0] === "'") {
+    match = /^'([^'\n]*)'/.exec(rest);
+    if (!match) throw new Error('unterminated string');
+    return [match[1], pos + match[0].length];
+  }
+  if ((match = /^(true|false)\b/.exec(rest))) return [match[1] === 'true', pos + match[0].length];
+  if ((match = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?/.exec(rest))) {
+    return [match[0], pos + match[0].length];
+  }
+  if ((match = /^[+-]?\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?/.exec(rest))) {
+    return [Number(match[0].replace(/_/g, '')), pos + match[0].length];
+  }
+  if (rest[0] === '[') {
+    const items = [];
+    pos = skip(pos + 1);
+    while (text[pos] !== ']') {
+      let item;
+      [item, pos] = parseValue(text, pos);
+      items.push(item);
+      pos = skip(pos);
+      if (text[pos] === ',') pos = skip(pos + 1);
+      else if (text[pos] !== ']') throw new Error('expected , or ] in array');
+    }
+    return [items, pos + 1];
+  }
+  if (rest[0] === '{') {
+    const table = {};
+    pos = skip(pos + 1);
+    while (text[pos] !== '}') {
+      const eq = text.indexOf('=', pos);
+      if (eq === -1) throw new Error('expected key = value in inline table');
+      const keys = splitKey(text.slice(pos, eq));
+      let value;
+      [value, pos] = parseValue(text, eq + 1);
+      setKey(table, keys, value);
+      pos = skip(pos);
+      if (text[pos] === ',') pos = skip(pos + 1);
+      else if (text[pos] !== '}') throw new Error('expected , or } in inline table');
+    }
+    return [table, pos + 1];
+  }
+  throw new Error(`unsupported value "${rest.split('\n')[0]}"`);
+}
+
+/**
+ * Table for a key path, creating it as needed — the last element of an
+ * array of tables
+ */
+function walk(root, keys) {
+  let table = root;
+  for (const key of keys) {
+    if (table[key] === undefined) table[key] = {};
+    table = Array.isArray(table[key]) ? table[key][table[key].length - 1] : table[key];
+    if (typeof table !== 'object' || table === null) throw new Error(`${keys.join('.')} is not a table`);
+  }
+  return table;
+}
+
+function setKey(table, keys, value) {
+  const parent = walk(table, keys.slice(0, -1));
+  const last = keys[keys.length - 1];
+  if (last in parent) throw new Error(`duplicate key ${keys.join('.')}`);
+  parent[last] = value;
+}
+
+/**
+ * Parse the [tool.infra-audit] tables of a pyproject.toml. Other tables
+ * are skipped, so TOML this parser doesn't support can't break it.
+ * Returns the table, or null if the file has none.
+ */
+function parsePyprojectTable(text) {
+  const root = {};
+  let current = null;
+  let found = false;
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    let line = stripComment(lines[i]).trim();
+    if (!line) continue;
+    try {
+      const header = /^\[(\[)?\s*([^\]]+?)\s*\]?\]$/.exec(line);
+      if (header && (!header[1] || line.endsWith(']]'))) {
+        const keys = splitKey(header[2]);
+        const ours = keys[0] === 'tool' && keys[1] === TOOL_KEY;
+        if (!ours) {
+          current = null;
+          continue;
+        }
+        found = true;
+        if (header[1]) {
+          const parent = walk(root, keys.slice(0, -1));
+          const last = keys[keys.length - 1];
+          if (parent[last] === undefined) parent[last] = [];
+          if (!Array.isArray(parent[last])) throw new Error(`${keys.join('.')} is not an array of tables`);
+          parent[last].push({});
+          current = parent[last][parent[last].length - 1];
+        } else {
+          current = walk(root, keys);
+        }
+        continue;
+      }
+      if (!current) continue;
+
+      const eq = line.indexOf('=');
+      if (eq === -1) throw new Error('expected key = value');
+      const keys = splitKey(line.slice(0, eq));
+      // Arrays and inline tables may span several lines
+      let valueText = line.slice(eq + 1);
+      for (;;) {
+        try {
+          const [value, end] = parseValue(valueText, 0);
+          if (valueText.slice(end).trim()) throw new Error('unexpected text after value');
+          setKey(current, keys, value);
+          break;
+        } catch (e) {
+          const open = /^\s*[[{]/.test(valueText) && i + 1 < lines.length;
+          if (!open || !/expected|unsupported value ""/.test(e.message)) throw e;
+          valueText += '\n' + stripComment(lines[++i]);
+        }
+      }
+    } catch (e) {
+      throw new Error(`${PYPROJECT} line ${lineNo}: ${e.message}`);
+    }
+  }
+  return found ? root.tool[TOOL_KEY] : null;
+}
+
+// ──────────────────────────────────────────────────────
+// Loading and Validation
+// ──────────────────────────────────────────────────────
+
+/**
+ * Read a project config file (.infra-audit.json or pyproject.toml).
+ * Returns { file, config } — config is null for a pyproject.toml without
+ * [tool.infra-audit]. Throws with a readable message on parse errors.
+ */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.basename(file) === PYPROJECT) {
+    return { file, config: parsePyprojectTable(text) };
+  }
+  try {
+    return { file, config: JSON.parse(text) };
+  } catch (e) {
+    throw new Error(`${path.basename(file)}: ${e.message}`);
+  }
+}
+
+/**
+ * The project's config file: .infra-audit.json, else pyproject.toml with a
+ * [tool.infra-audit] table. Returns { file, config, shadowed } or null —
+ * `shadowed` names a [tool.infra-audit] table ignored in favour of the JSON file.
+ */
+function findProjectConfig(projectDir) {
+  const jsonFile = path.join(projectDir, CONFIG_FILE);
+  const pyproject = path.join(projectDir, PYPROJECT);
+  const fromToml = fs.existsSync(pyproject) ? readConfigFile(pyproject) : null;
+
+  if (fs.existsSync(jsonFile)) {
+    const found = readConfigFile(jsonFile);
+    return { ...found, shadowed: fromToml && fromToml.config ? pyproject : null };
+  }
+  return fromToml && fromToml.config ? { ...fromToml, shadowed: null } : null;
+}
+
+/**
+ * Problems with a config object: { errors, warnings } (strings).
+ * Errors make the config unusable; warnings (expired suppressions) don't.
+ */
+function validateProjectConfig(config, date = today()) {
+  if (!schema) schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+  const errors = validateSchema(config, schema);
+  const warnings = [];
+  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (!isObject(config)) return { errors, warnings };
+
+  // Area names and expiry dates go beyond what the schema can check
+  for (const area of Object.keys(isObject(config.areas) ? config.areas : {})) {
+    if (!AREAS.includes(normalizeArea(area))) errors.push(`areas.${area}: unknown area (use ${AREAS.join(', ')})`);
+  }
+  for (const list of ['severity', 'suppress']) {
+    (Array.isArray(config[list]) ? config[list] : []).forEach((rule, i) => {
+      if (!isObject(rule)) return;
+      if (typeof rule.area === 'string' && !AREAS.includes(normalizeArea(rule.area))) {
+        errors.push(`${list}[${i}].area: unknown area "${rule.area}"`);
+      }
+      if (list !== 'suppress' || typeof rule.expires !== 'string') return;
+      if (Number.isNaN(Date.parse(rule.expires))) errors.push(`suppress[${i}].expires: not a valid date`);
+      else if (rule.expires < date) warnings.push(`suppress[${i}] ("${rule.match}") expired on ${rule.expires}`);
+    });
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Resolved settings for a project, with defaults filled in:
+ * { file, areas, disabled_areas, required_areas, severity, suppress,
+ *   expired, target_score, errors, warnings }. Only active suppressions are
+ * in `suppress`; expired ones are listed in `expired`. An invalid config
+ * resolves to the defaults, with its problems in `errors`.
+ */
+function resolveProjectConfig(projectDir, date = today()) {
+  const resolved = {
+    file: null,
+    areas: {},
+    disabled_areas: [],
+    required_areas: [],
+    severity: [],
+    suppress: [],
+    expired: [],
+    target_score: null,
+    errors: [],
+    warnings: [],
+  };
+
+  let found;
+  try {
+    found = findProjectConfig(projectDir);
+  } catch (e) {
+    resolved.errors.push(e.message);
+    return resolved;
+  }
+  if (!found) return resolved;
+
+  resolved.file = path.relative(projectDir, found.file) || found.file;
+  if (found.shadowed) {
+    resolved.warnings.push(`${CONFIG_FILE} takes precedence — [tool.${TOOL_KEY}] in ${PYPROJECT} is ignored`);
+  }
+  const { errors, warnings } = validateProjectConfig(found.config, date);
+  resolved.warnings.push(...warnings);
+  if (errors.length) {
+    resolved.errors.push(...errors);
+    return resolved;
+  }
+
+  const config = found.config;
+  for (const [area, enabled] of Object.entries(config.areas || {})) {
+    resolved.areas[normalizeArea(area)] = enabled;
+  }
+  resolved.disabled_areas = Object.keys(resolved.areas).filter(a => resolved.areas[a] === false);
+  resolved.required_areas = Object.keys(resolved.areas).filter(a => resolved.areas[a] === true);
+  const withArea = rule => (rule.area ? { ...rule, area: normalizeArea(rule.area) } : rule);
+  resolved.severity = (config.severity || []).map(withArea);
+  for (const rule of (config.suppress || []).map(withArea)) {
+    (rule.expires && rule.expires < date ? resolved.expired : resolved.suppress).push(rule);
+  }
+  if (typeof config.target_score === 'number') resolved.target_score = config.target_score;
+  return resolved;
+}
+
+// ──────────────────────────────────────────────────────
+// Applying to Findings
+// ──────────────────────────────────────────────────────
+
+function matches(rule, finding) {
+  const description = String(finding.description || '').toLowerCase();
+  if (rule.area && normalizeArea(finding.area || '') !== rule.area) return false;
+  return description.includes(rule.match.toLowerCase());
+}
+
+/**
+ * Apply severity overrides and suppressions to a findings list.
+ * Returns { findings, suppressed, changed } — suppressed findings carry the
+ * rule's reason and expiry; `changed` is true if anything was overridden
+ * or suppressed (the counts and score then need recomputing).
+ */
+function applyProjectConfig(findings, resolved) {
+  const kept = [];
+  const suppressed = [];
+  let changed = false;
+
+  for (const original of findings) {
+    let finding = typeof original === 'string' ? { description: original } : { ...original };
+    const override = resolved.severity.find(rule => matches(rule, finding));
+    if (override && String(finding.severity || '').toUpperCase() !== override.severity) {
+      finding = { ...finding, severity: override.severity, original_severity: finding.severity || null };
+      changed = true;
+    }
+    const suppression = resolved.suppress.find(rule => matches(rule, finding));
+    if (suppression) {
+      suppressed.push({ ...finding, reason: suppression.reason, expires: suppression.expires || null });
+      changed = true;
+    } else {
+      kept.push(override ? finding : original);
+    }
+  }
+  return { findings: kept, suppressed, changed };
+}
+
+/**
+ * Counts and score of a findings list — same rules as /infra:audit
+ */
+function scoreFindings(findings) {
+  const counts = { critical: 0, warnings: 0, info: 0 };
+  let score = MAX_SCORE;
+  for (const f of findings) {
+    const severity = String((f && f.severity) || 'INFO').toUpperCase();
+    const key = SEVERITY_COUNTS[severity] || 'info';
+    counts[key]++;
+    score += SCORE_IMPACT[severity] || 0;
+  }
+  return { score: Math.max(0, Math.round(score * 10) / 10), ...counts };
+}
+
+/**
+ * The scoring rules in words, e.g. "-2 per critical, -0.5 per warning,
+ * info findings don't affect the score"
+ */
+function describeScoring() {
+  const parts = [];
+  const unaffected = [];
+  for (const [severity, impact] of Object.entries(SCORE_IMPACT)) {
+    const name = severity === 'INFO' ? 'info' : severity.toLowerCase();
+    if (impact) parts.push(`${impact} per ${name}`);
+    else unaffected.push(name);
+  }
+  if (unaffected.length) parts.push(`${unaffected.join(' and ')} findings don't affect the score`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  CONFIG_FILE,
+  AREAS,
+  normalizeArea,
+  parsePyprojectTable,
+  readConfigFile,
+  findProjectConfig,
+  validateProjectConfig,
+  resolveProjectConfig,
+  applyProjectConfig,
+  MAX_SCORE,
+  SCORE_IMPACT,
+  scoreFindings,
+  describeScoring,
+};
+
+// ──────────────────────────────────────────────────────
+// CLI
+// ──────────────────────────────────────────────────────
+
+function main(argv) {
+  const [command = 'resolve', file] = argv;
+
+  if (command === 'resolve') {
+    const resolved = resolveProjectConfig(process.cwd());
+    console.log(JSON.stringify(resolved, null, 2));
+    return resolved.errors.length ? 1 : 0;
+  }
+  if (command === 'validate') {
+    let found;
+    if (file) {
+      found = readConfigFile(path.resolve(file));
+      if (!found.config) throw new Error(`${file} has no [tool.${TOOL_KEY}] table`);
+    } else {
+      found = findProjectConfig(process.cwd());
+      if (!found) {
+        console.log(`No ${CONFIG_FILE} or [tool.${TOOL_KEY}] in ${PYPROJECT} — using defaults`);
+        return 0;
+      }
+    }
+    const { errors, warnings } = validateProjectConfig(found.config);
+    for (const warning of warnings) console.log(`warning   ${warning}`);
+    for (const error of errors) console.log(`error     ${error}`);
+    console.log(`${errors.length ? 'invalid' : 'valid'}     ${found.file}`);
+    return errors.length ? 1 : 0;
+  }
+
+  console.error('Usage: project-config.js resolve|validate [FILE]');
+  return 2;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`project-config: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
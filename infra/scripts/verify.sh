@@ -31,6 +31,8 @@ print(f'HAS_PYRIGHT={\"true\" if a.get(\"pyright\") else \"false\"}')
 print(f'HAS_PRECOMMIT={\"true\" if a.get(\"pre_commit\") else \"false\"}')
 print(f'HAS_TESTS={\"true\" if a.get(\"tests\") else \"false\"}')
 print(f'HAS_GIT={\"true\" if a.get(\"git\") else \"false\"}')
+# deadcode is only ever switched off, by the project config
+print(f'HAS_DEADCODE={\"false\" if a.get(\"deadcode\") is False else \"true\"}')
 print(f'RUFF_IN_VENV={\"true\" if vt.get(\"ruff\") else \"false\"}')
 print(f'PYTEST_IN_VENV={\"true\" if vt.get(\"pytest\") else \"false\"}')
 print(f'PRECOMMIT_IN_VENV={\"true\" if vt.get(\"pre_commit\") else \"false\"}')
@@ -116,7 +118,7 @@ if [ "$HAS_PRECOMMIT" = true ] && [ "$PRECOMMIT_IN_VENV" = true ]; then
 fi
 
 # Vulture dead code detection
-if [ "$VULTURE_IN_VENV" = true ]; then
+if [ "$HAS_DEADCODE" = true ] && [ "$VULTURE_IN_VENV" = true ]; then
   if [ "$HAS_VULTURE_CONFIG" = true ]; then
     # [tool.vulture] in pyproject.toml — let vulture read its own config
     VULTURE_ARGS=""
@@ -0,0 +1,321 @@
+// Offline bundles: the whole package (installer, commands, blueprints,
+// scripts and hooks) in one gzipped tarball, with a signed manifest of
+// SHA-256 checksums, for machines without the npm registry.
+//
+// The tarball is laid out like `npm pack` output (package/...), so it also
+// works as an updateCheck.mirror release and with `npm install -g <file>`.
+// Installing from a bundle verifies it, extracts it to a temporary directory
+// and runs the bundled installer — the bundle's version installs itself.
+// The checksums travel inside the bundle, so only the signature protects
+// against tampering: unsigned bundles, and installs without a key to check
+// the signature, need an explicit allowUnsigned (--allow-unsigned).
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const pkg = require('../package.json');
+
+const BUNDLE_MANIFEST_NAME = 'bundle-manifest.json';
+const BUNDLE_SIGNATURE_NAME = 'bundle-manifest.sig';
+const BUNDLE_FORMAT = 1;
+const TAR_ROOT = 'package';
+
+/**
+ * Default bundle file name — the name updateCheck.mirror looks for
+ */
+function getBundleName(version = pkg.version) {
+  return `${pkg.name}-${version}.tgz`;
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// ──────────────────────────────────────────────────────
+// Tar (ustar)
+// ──────────────────────────────────────────────────────
+
+/**
+ * Split a path into ustar prefix (155 bytes) and name (100 bytes) fields,
+ * at a '/'. Throws if it can't fit — a truncated name would be a corrupt entry.
+ */
+function splitTarName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && rest && Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+  }
+  throw new Error(`path too long for a tar entry: ${name}`);
+}
+
+/**
+ * One 512-byte ustar header for a regular file
+ */
+function tarHeader(fullName, size, mode, mtime) {
+  const header = Buffer.alloc(512);
+  const { prefix, name } = splitTarName(fullName);
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+  header.write(name, 0, 100);
+  header.write(octal(mode, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(mtime, 12), 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+/**
+ * Gzipped tarball of [{ name, content, mode }]
+ */
+function createTar(entries, mtime) {
+  const blocks = [];
+  for (const { name, content, mode } of entries) {
+    blocks.push(tarHeader(name, content.length, mode, mtime), content);
+    const padding = (512 - (content.length % 512)) % 512;
+    if (padding) blocks.push(Buffer.alloc(padding));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * Regular files of a gzipped tarball: [{ name, content, mode }].
+ * Throws on anything but regular files and directories (links, devices).
+ */
+function readTar(archive) {
+  const tar = zlib.gunzipSync(archive);
+  const entries = [];
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const field = (start, length) => tar.toString('utf8', offset + start, offset + start + length).replace(/\0[\s\S]*$/, '');
+    const name = field(0, 100);
+    if (!name) break;
+    const prefix = field(345, 155);
+    const mode = parseInt(field(100, 8).trim(), 8) || 0o644;
+    const size = parseInt(field(124, 12).trim(), 8) || 0;
+    const type = field(156, 1) || '0';
+    const fullName = prefix ? `${prefix}/${name}` : name;
+    offset += 512;
+    if (type === '0') {
+      entries.push({ name: fullName, content: tar.subarray(offset, offset + size), mode });
+    } else if (type !== '5') {
+      throw new Error(`unsupported tar entry ${fullName} (type ${type})`);
+    }
+    offset += Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+// ──────────────────────────────────────────────────────
+// Export
+// ──────────────────────────────────────────────────────
+
+/**
+ * Every file the bundle carries: package.json and the package `files` tree
+ * (relative, forward slashes)
+ */
+function listBundleFiles() {
+  const src = path.join(__dirname, '..');
+  const walk = rel => {
+    const full = path.join(src, rel);
+    if (!fs.existsSync(full)) return [];
+    if (!fs.statSync(full).isDirectory()) return [rel];
+    return fs.readdirSync(full).sort().flatMap(name => walk(`${rel}/${name}`));
+  };
+  return ['package.json', ...pkg.files.flatMap(walk)];
+}
+
+/**
+ * Sign the manifest text with a PEM private key (Ed25519, RSA or ECDSA)
+ */
+function signManifest(text, keyPem) {
+  const key = crypto.createPrivateKey(keyPem);
+  const algorithm = ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+  return crypto.sign(algorithm, Buffer.from(text), key).toString('base64');
+}
+
+/**
+ * Write a bundle of this version. Options: output (default
+ * python-infra-audit-cc-<version>.tgz in the working directory), signKey
+ * (path to a PEM private key — required unless allowUnsigned).
+ * Returns { file, version, files, sha256, signed }.
+ */
+function exportBundle(options = {}) {
+  if (!options.signKey && !options.allowUnsigned) {
+    throw new Error('Bundles must be signed — pass --sign-key <private.pem> (or --allow-unsigned for a checksum-only bundle)');
+  }
+  const src = path.join(__dirname, '..');
+  const file = path.resolve(options.output || getBundleName());
+  const created = new Date();
+
+  const entries = listBundleFiles().map(rel => {
+    const full = path.join(src, rel);
+    return { rel, content: fs.readFileSync(full), mode: fs.statSync(full).mode & 0o777 };
+  });
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    name: pkg.name,
+    version: pkg.version,
+    created_at: created.toISOString(),
+    files: {},
+  };
+  for (const { rel, content, mode } of entries) {
+    manifest.files[rel] = { sha256: sha256(content), size: content.length, mode };
+  }
+  const manifestText = JSON.stringify(manifest, null, 2) + '\n';
+
+  const tarEntries = entries.map(({ rel, content, mode }) => ({ name: `${TAR_ROOT}/${rel}`, content, mode }));
+  tarEntries.push({ name: `${TAR_ROOT}/${BUNDLE_MANIFEST_NAME}`, content: Buffer.from(manifestText), mode: 0o644 });
+  if (options.signKey) {
+    const signature = signManifest(manifestText, fs.readFileSync(options.signKey, 'utf8'));
+    tarEntries.push({ name: `${TAR_ROOT}/${BUNDLE_SIGNATURE_NAME}`, content: Buffer.from(signature + '\n'), mode: 0o644 });
+  }
+
+  const archive = createTar(tarEntries, Math.floor(created.getTime() / 1000));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, archive);
+  return {
+    file,
+    version: pkg.version,
+    files: entries.length,
+    sha256: sha256(archive),
+    signed: Boolean(options.signKey),
+  };
+}
+
+// ──────────────────────────────────────────────────────
+// Verify and Install
+// ──────────────────────────────────────────────────────
+
+/**
+ * Read and verify a bundle: every file is listed in the embedded manifest
+ * with a matching SHA-256 and size, nothing else is in the tarball, and the
+ * manifest carries a valid signature from verifyKey (path to a PEM public
+ * key). Without verifyKey, allowUnsigned must be set and the signature is
+ * not checked. Throws an Error saying what failed.
+ * Returns { manifest, files: [{ rel, content, mode }], signed, verified }.
+ */
+function readBundle(file, options = {}) {
+  const fail = reason => {
+    throw new Error(`Bundle ${path.basename(file)} failed verification: ${reason}`);
+  };
+  if (!options.verifyKey && !options.allowUnsigned) {
+    fail('no key to check its signature — pass --verify-key <public.pem> (or --allow-unsigned to trust its checksums alone)');
+  }
+
+  let entries;
+  try {
+    entries = readTar(fs.readFileSync(file));
+  } catch (e) {
+    fail(e.code === 'ENOENT' ? 'file not found' : `not a readable .tgz (${e.message})`);
+  }
+
+  const byName = new Map();
+  for (const entry of entries) {
+    const rel = entry.name.startsWith(`${TAR_ROOT}/`) ? entry.name.slice(TAR_ROOT.length + 1) : null;
+    if (!rel || path.posix.isAbsolute(rel) || path.posix.normalize(rel) !== rel || rel.startsWith('..')) {
+      fail(`unexpected path ${entry.name}`);
+    }
+    byName.set(rel, entry);
+  }
+
+  const manifestEntry = byName.get(BUNDLE_MANIFEST_NAME);
+  if (!manifestEntry) fail(`no ${BUNDLE_MANIFEST_NAME}`);
+  const manifestText = manifestEntry.content.toString('utf8');
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestText);
+  } catch (e) {
+    fail(`${BUNDLE_MANIFEST_NAME} is not valid JSON`);
+  }
+  if (manifest.format !== BUNDLE_FORMAT || manifest.name !== pkg.name || !manifest.files) {
+    fail(`${BUNDLE_MANIFEST_NAME} is not a ${pkg.name} bundle manifest (format ${BUNDLE_FORMAT})`);
+  }
+
+  const files = [];
+  for (const [rel, expected] of Object.entries(manifest.files)) {
+    const entry = byName.get(rel);
+    if (!entry) fail(`${rel} is listed in the manifest but missing`);
+    if (entry.content.length !== expected.size || sha256(entry.content) !== expected.sha256) {
+      fail(`checksum mismatch for ${rel}`);
+    }
+    files.push({ rel, content: entry.content, mode: expected.mode || 0o644 });
+  }
+  for (const rel of byName.keys()) {
+    if (!(rel in manifest.files) && rel !== BUNDLE_MANIFEST_NAME && rel !== BUNDLE_SIGNATURE_NAME) {
+      fail(`${rel} is not listed in the manifest`);
+    }
+  }
+  const packageJson = files.find(f => f.rel === 'package.json');
+  if (!packageJson || JSON.parse(packageJson.content).version !== manifest.version) {
+    fail('package.json does not match the manifest version');
+  }
+
+  const signatureEntry = byName.get(BUNDLE_SIGNATURE_NAME);
+  let verified = false;
+  if (options.verifyKey) {
+    if (!signatureEntry) fail('the bundle is not signed');
+    const key = crypto.createPublicKey(fs.readFileSync(options.verifyKey, 'utf8'));
+    const algorithm = ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+    const signature = Buffer.from(signatureEntry.content.toString('utf8').trim(), 'base64');
+    if (!crypto.verify(algorithm, Buffer.from(manifestText), key, signature)) {
+      fail(`the signature does not match ${path.basename(options.verifyKey)}`);
+    }
+    verified = true;
+  }
+
+  return { manifest, files, signed: Boolean(signatureEntry), verified };
+}
+
+/**
+ * Verify a bundle, then install its version with its own installer — nothing
+ * from the bundle runs before it passes readBundle. Takes install's options
+ * plus verifyKey and allowUnsigned; returns install's result with
+ * `bundle: { file, version, files, signed, verified }`.
+ */
+function installFromBundle(file, options = {}) {
+  const bundle = readBundle(file, options);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'infra-audit-bundle-'));
+  try {
+    for (const { rel, content, mode } of bundle.files) {
+      const dest = path.join(dir, rel);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.writeFileSync(dest, content, { mode });
+    }
+    const { install } = require(path.join(dir, 'lib', 'installer'));
+    const result = install({ ...options, fromBundle: undefined, verifyKey: undefined, allowUnsigned: undefined });
+    return {
+      ...result,
+      bundle: {
+        file: path.resolve(file),
+        version: bundle.manifest.version,
+        files: bundle.files.length,
+        signed: bundle.signed,
+        verified: bundle.verified,
+      },
+    };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  BUNDLE_MANIFEST_NAME,
+  getBundleName,
+  createTar,
+  readTar,
+  exportBundle,
+  readBundle,
+  installFromBundle,
+};
@@ -0,0 +1,228 @@
+// Render audit history from every project as one self-contained HTML page
+
+const { SCORE_IMPACT, normalizeFinding, findingKey } = require('./report');
+const { describeScoring } = require('../infra/scripts/project-config');
+
+// How many recurring findings the page lists
+const TOP_FINDINGS = 15;
+
+const SEVERITY_COLORS = { CRITICAL: '#d73a49', WARNING: '#dbab09', INFO: '#0366d6' };
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function scoreColor(score) {
+  if (score === null) return '#6a737d';
+  return score >= 9 ? '#28a745' : score >= 5 ? '#dbab09' : '#d73a49';
+}
+
+function formatScore(score) {
+  return score === null ? '—' : score.toFixed(1);
+}
+
+// ──────────────────────────────────────────────────────
+// Aggregation
+// ──────────────────────────────────────────────────────
+
+/**
+ * Findings shared by several projects, grouped by area and description.
+ * Most widespread first, then most severe.
+ */
+function commonFindings(projects) {
+  const order = Object.keys(SCORE_IMPACT);
+  const groups = new Map();
+  for (const project of projects) {
+    for (const finding of (project.findings || []).map(normalizeFinding)) {
+      const key = findingKey(finding);
+      if (!groups.has(key)) groups.set(key, { ...finding, projects: [] });
+      const group = groups.get(key);
+      if (order.indexOf(finding.severity) < order.indexOf(group.severity)) group.severity = finding.severity;
+      if (!group.projects.includes(project.project)) group.projects.push(project.project);
+    }
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.projects.length - a.projects.length ||
+      order.indexOf(a.severity) - order.indexOf(b.severity) ||
+      a.area.localeCompare(b.area))
+    .slice(0, TOP_FINDINGS);
+}
+
+/**
+ * Fleet-wide totals for the header cards
+ */
+function fleetTotals(projects) {
+  const scored = projects.filter(p => p.score !== null);
+  const sum = key => projects.reduce((total, p) => total + p[key], 0);
+  return {
+    projects: projects.length,
+    average: scored.length ? scored.reduce((total, p) => total + p.score, 0) / scored.length : null,
+    clean: projects.filter(p => p.critical + p.warnings === 0).length,
+    stale: projects.filter(p => p.stale).length,
+    critical: sum('critical'),
+    warnings: sum('warnings'),
+  };
+}
+
+// ──────────────────────────────────────────────────────
+// HTML
+// ──────────────────────────────────────────────────────
+
+/**
+ * Inline SVG line chart of a project's scores on a fixed 0–10 scale
+ */
+function trendChart(runs) {
+  const width = 180;
+  const height = 40;
+  const pad = 4;
+  const points = runs.filter(r => typeof r.score === 'number');
+  if (points.length === 0) return '<span class="muted">—</span>';
+
+  const x = i => (points.length === 1 ? width / 2 : pad + i * (width - 2 * pad) / (points.length - 1));
+  const y = score => pad + (1 - Math.max(0, Math.min(10, score)) / 10) * (height - 2 * pad);
+  const line = points.map((r, i) => `${x(i).toFixed(1)},${y(r.score).toFixed(1)}`).join(' ');
+  const last = points[points.length - 1];
+  const dots = points.map((r, i) =>
+    `<circle cx="${x(i).toFixed(1)}" cy="${y(r.score).toFixed(1)}" r="${r === last ? 3 : 2}" fill="${r.type === 'fix' ? '#28a745' : scoreColor(r.score)}">` +
+    `<title>${escapeHtml(`${r.date} ${r.type}: ${r.score.toFixed(1)}`)}</title></circle>`).join('');
+
+  return `<svg class="trend" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Score trend">` +
+    `<line x1="0" y1="${y(10)}" x2="${width}" y2="${y(10)}" class="grid"/>` +
+    `<line x1="0" y1="${y(5)}" x2="${width}" y2="${y(5)}" class="grid"/>` +
+    (points.length > 1 ? `<polyline points="${line}" fill="none" stroke="${scoreColor(last.score)}" stroke-width="1.5"/>` : '') +
+    dots + '</svg>';
+}
+
+function severityBadge(severity) {
+  return `<span class="badge" style="background:${SEVERITY_COLORS[severity]}">${severity}</span>`;
+}
+
+function projectRow(p) {
+  const delta = p.delta === null ? '' : `<span class="delta">${p.delta > 0 ? '+' : ''}${p.delta.toFixed(1)}</span>`;
+  const stale = p.stale ? ' <span class="badge stale">STALE</span>' : '';
+  const findings = p.critical + p.warnings + p.info === 0
+    ? '<span class="ok">clean</span>'
+    : `<span style="color:${SEVERITY_COLORS.CRITICAL}">${p.critical}</span> / ` +
+      `<span style="color:${SEVERITY_COLORS.WARNING}">${p.warnings}</span> / ` +
+      `<span style="color:${SEVERITY_COLORS.INFO}">${p.info}</span>`;
+  return `      <tr${p.stale ? ' class="is-stale"' : ''}>
+        <td><strong>${escapeHtml(p.project)}</strong><div class="muted path">${escapeHtml(p.path || '')}</div></td>
+        <td class="score" style="color:${scoreColor(p.score)}">${formatScore(p.score)}</td>
+        <td>${trendChart(p.runs)} ${delta}</td>
+        <td>${escapeHtml(p.last_audit || 'never')}<div class="muted">${escapeHtml(p.last_audit_age)}${stale}</div></td>
+        <td>${escapeHtml(p.last_fix || 'never')}</td>
+        <td>${findings}</td>
+      </tr>`;
+}
+
+function findingRow(f) {
+  return `      <tr>
+        <td>${severityBadge(f.severity)}</td>
+        <td>${escapeHtml(f.area)}</td>
+        <td>${escapeHtml(f.description)}${f.fix ? `<div class="muted">Fix: ${escapeHtml(f.fix)}</div>` : ''}</td>
+        <td class="num">${f.projects.length}</td>
+        <td class="muted">${f.projects.map(escapeHtml).join(', ')}</td>
+      </tr>`;
+}
+
+/**
+ * Self-contained HTML dashboard — inline CSS and SVG, no scripts or
+ * external resources, so it works offline and from an attachment.
+ *
+ * projects: status summaries plus `runs`, `findings` and `last_audit_age`
+ * options:  { tool, generated, staleDays, skipped }
+ */
+function renderDashboard(projects, options) {
+  const totals = fleetTotals(projects);
+  const common = commonFindings(projects);
+  // Worst first, so problems are at the top
+  const sorted = [...projects].sort((a, b) =>
+    (a.score === null ? -1 : a.score) - (b.score === null ? -1 : b.score) || a.project.localeCompare(b.project));
+  const stale = sorted.filter(p => p.stale);
+
+  const card = (label, value, color) =>
+    `    <div class="card"><div class="value"${color ? ` style="color:${color}"` : ''}>${value}</div><div class="label">${label}</div></div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>infra:audit dashboard</title>
+<style>
+  body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #24292e; margin: 0; padding: 24px 32px; background: #f6f8fa; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 32px 0 8px; }
+  .muted { color: #6a737d; font-size: 12px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 20px 0; }
+  .card { background: #fff; border: 1px solid #e1e4e8; border-radius: 6px; padding: 12px 20px; min-width: 120px; }
+  .card .value { font-size: 26px; font-weight: 600; }
+  .card .label { color: #6a737d; font-size: 12px; text-transform: uppercase; letter-spacing: .04em; }
+  table { border-collapse: collapse; width: 100%; background: #fff; border: 1px solid #e1e4e8; }
+  th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #eaecef; vertical-align: middle; }
+  th { background: #f6f8fa; font-size: 12px; text-transform: uppercase; letter-spacing: .04em; color: #586069; }
+  td.score { font-size: 20px; font-weight: 600; }
+  td.num { text-align: right; font-weight: 600; }
+  tr.is-stale td { background: #fffbdd; }
+  .path { word-break: break-all; }
+  .badge { display: inline-block; color: #fff; border-radius: 3px; padding: 0 6px; font-size: 11px; font-weight: 600; }
+  .badge.stale { background: #b08800; }
+  .ok { color: #28a745; font-weight: 600; }
+  .delta { color: #586069; font-size: 12px; vertical-align: top; }
+  svg.trend { vertical-align: middle; }
+  svg.trend .grid { stroke: #eaecef; stroke-dasharray: 2 2; }
+  footer { margin-top: 32px; }
+</style>
+</head>
+<body>
+  <h1>infra:audit dashboard</h1>
+  <div class="muted">Generated ${escapeHtml(options.generated)} by ${escapeHtml(options.tool.name)} v${escapeHtml(options.tool.version)}</div>
+
+  <div class="cards">
+${[
+    card('Projects', totals.projects),
+    card('Average score', formatScore(totals.average), scoreColor(totals.average)),
+    card('Clean', totals.clean, '#28a745'),
+    card(`Stale (&gt;${options.staleDays} days)`, totals.stale, totals.stale ? '#b08800' : null),
+    card('Critical findings', totals.critical, totals.critical ? SEVERITY_COLORS.CRITICAL : null),
+    card('Warnings', totals.warnings, totals.warnings ? SEVERITY_COLORS.WARNING : null),
+  ].join('\n')}
+  </div>
+${stale.length ? `
+  <h2>Stale audits</h2>
+  <p>No audit in the last ${options.staleDays} days: ${stale.map(p => `<strong>${escapeHtml(p.project)}</strong> (${escapeHtml(p.last_audit_age)})`).join(', ')}. Re-run <code>/infra:audit</code> in these projects.</p>
+` : ''}
+  <h2>Projects</h2>
+  <table>
+    <thead>
+      <tr><th>Project</th><th>Score</th><th>Trend</th><th>Last audit</th><th>Last fix</th><th>Critical / Warnings / Info</th></tr>
+    </thead>
+    <tbody>
+${sorted.map(projectRow).join('\n')}
+    </tbody>
+  </table>
+
+  <h2>Most common findings</h2>
+${common.length ? `  <table>
+    <thead>
+      <tr><th>Severity</th><th>Area</th><th>Finding</th><th>Repos</th><th>Projects</th></tr>
+    </thead>
+    <tbody>
+${common.map(findingRow).join('\n')}
+    </tbody>
+  </table>` : '  <p class="muted">No findings recorded.</p>'}
+
+  <footer class="muted">
+    Scoring: ${escapeHtml(describeScoring())}.${options.skipped ? `
+    ${options.skipped} history file(s) not in schema v2 were left out — run <code>npx ${escapeHtml(options.tool.name)} migrate-history</code> to include them.` : ''}
+  </footer>
+</body>
+</html>
+`;
+}
+
+module.exports = { commonFindings, renderDashboard };
@@ -0,0 +1,112 @@
+// Line-based diffing shared by the installer's merge and preview modes
+
+/**
+ * Split text into lines, keeping each line's terminator
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return text.split(/(?<=\n)/);
+}
+
+/**
+ * Match lines of `a` against lines of `b` (longest common subsequence).
+ * Returns ascending [indexInA, indexInB] pairs for every unchanged line.
+ */
+function matchLines(a, b) {
+  // Common prefix/suffix are matched directly — keeps the LCS table small
+  // for the typical case of a few edits in a long file.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const table = new Uint32Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[at(i, j)] = a[start + i] === b[start + j]
+        ? table[at(i + 1, j + 1)] + 1
+        : Math.max(table[at(i + 1, j)], table[at(i, j + 1)]);
+    }
+  }
+
+  const pairs = [];
+  for (let k = 0; k < start; k++) pairs.push([k, k]);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      pairs.push([start + i, start + j]);
+      i++;
+      j++;
+    } else if (table[at(i + 1, j)] >= table[at(i, j + 1)]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+}
+
+/**
+ * Render a unified diff (`diff -u` style) between two texts.
+ * Returns an empty string when the texts are identical.
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const context = options.context === undefined ? 3 : options.context;
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  if (a.length === b.length && a.every((line, i) => line === b[i])) return '';
+
+  // Flatten into an edit script: [op, line, indexInA, indexInB]
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  for (const [pa, pb] of [...matchLines(a, b), [a.length, b.length]]) {
+    while (i < pa) ops.push(['-', a[i], i++, j]);
+    while (j < pb) ops.push(['+', b[j], i, j++]);
+    if (pa < a.length) ops.push([' ', a[i++], pa, j++]);
+  }
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, k) => {
+    if (op[0] === ' ') return;
+    const from = Math.max(0, k - context);
+    const to = Math.min(ops.length, k + context + 1);
+    if (current && from <= current.to) {
+      current.to = to;
+    } else {
+      current = { from, to };
+      hunks.push(current);
+    }
+  });
+
+  const out = [
+    `--- ${options.fromFile || 'a'}\n`,
+    `+++ ${options.toFile || 'b'}\n`,
+  ];
+  for (const { from, to } of hunks) {
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter(op => op[0] !== '+').length;
+    const newCount = slice.filter(op => op[0] !== '-').length;
+    const oldStart = oldCount ? slice[0][2] + 1 : slice[0][2];
+    const newStart = newCount ? slice[0][3] + 1 : slice[0][3];
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`);
+    for (const [op, line] of slice) {
+      out.push(op + line + (line.endsWith('\n') ? '' : '\n\\ No newline at end of file\n'));
+    }
+  }
+  return out.join('');
+}
+
+module.exports = { splitLines, matchLines, unifiedDiff };
@@ -0,0 +1,97 @@
+// Compare an audit run against a baseline and decide whether CI should pass
+
+const { SCORE_IMPACT, normalizeFinding, findingKey } = require('./report');
+const projectConfig = require('../infra/scripts/project-config');
+
+/**
+ * Score for a findings list — same rules as /infra:audit
+ */
+function scoreFindings(findings) {
+  return projectConfig.scoreFindings(findings).score;
+}
+
+/**
+ * Normalize a run-like object into { score, critical, warnings, info,
+ * findings, date, type }. Accepts a findings array, a history run, a
+ * history file (its latest run) or any object with `findings`.
+ * `findings` is null when the source didn't record them.
+ */
+function toRun(source) {
+  const run = Array.isArray(source) ? { findings: source } : { ...source };
+  const findings = Array.isArray(run.findings) ? run.findings.map(normalizeFinding) : null;
+  const count = (key, severity) => {
+    if (typeof run[key] === 'number') return run[key];
+    return findings ? findings.filter(f => f.severity === severity).length : 0;
+  };
+  return {
+    date: run.date || run.last_audit || null,
+    type: run.type || null,
+    score: typeof run.score === 'number' ? run.score : findings ? scoreFindings(findings) : null,
+    critical: count('critical', 'CRITICAL'),
+    warnings: count('warnings', 'WARNING'),
+    info: count('info', 'INFO'),
+    findings,
+  };
+}
+
+/**
+ * Findings in `current` but not `baseline` (added) and the reverse (resolved)
+ */
+function diffFindings(baseline, current) {
+  const before = new Map(baseline.map(f => [findingKey(f), f]));
+  const after = new Map(current.map(f => [findingKey(f), f]));
+  const order = Object.keys(SCORE_IMPACT);
+  const bySeverity = (a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || a.area.localeCompare(b.area);
+  return {
+    added: current.filter(f => !before.has(findingKey(f))).sort(bySeverity),
+    resolved: baseline.filter(f => !after.has(findingKey(f))).sort(bySeverity),
+  };
+}
+
+/**
+ * Evaluate the gate. `baseline` may be null (first run), in which case
+ * only the threshold applies. When either run lacks findings, new
+ * criticals are detected from the counts instead.
+ *
+ * Returns { passed, failures, current, baseline, min_score, score_delta,
+ * added, resolved } — added/resolved are null without findings on both sides.
+ */
+function evaluateGate(current, baseline, policy = {}) {
+  const failures = [];
+  const minScore = typeof policy.minScore === 'number' ? policy.minScore : null;
+
+  if (minScore !== null && current.score !== null && current.score < minScore) {
+    failures.push(`Score ${current.score.toFixed(1)} is below the threshold ${minScore.toFixed(1)}`);
+  }
+
+  let delta = null;
+  let diff = null;
+  if (baseline) {
+    if (current.score !== null && baseline.score !== null) {
+      delta = Math.round((current.score - baseline.score) * 10) / 10;
+      if (delta < 0) {
+        failures.push(`Score dropped ${Math.abs(delta).toFixed(1)} since the baseline (${baseline.score.toFixed(1)} → ${current.score.toFixed(1)})`);
+      }
+    }
+    if (current.findings && baseline.findings) {
+      diff = diffFindings(baseline.findings, current.findings);
+      const newCritical = diff.added.filter(f => f.severity === 'CRITICAL').length;
+      if (newCritical) failures.push(`${newCritical} new critical finding(s)`);
+    } else if (current.critical > baseline.critical) {
+      failures.push(`Critical findings rose from ${baseline.critical} to ${current.critical}`);
+    }
+  }
+
+  return {
+    passed: failures.length === 0,
+    failures,
+    current,
+    baseline,
+    min_score: minScore,
+    score_delta: delta,
+    added: diff ? diff.added : null,
+    resolved: diff ? diff.resolved : null,
+  };
+}
+
+module.exports = { scoreFindings, toRun, diffFindings, evaluateGate };
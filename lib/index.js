@@ -0,0 +1,53 @@
+// python-infra-audit-cc as a library
+//
+//   const infraAudit = require('python-infra-audit-cc');
+//   const result = infraAudit.install({ target: 'global', configDir: '/opt/claude', dryRun: true });
+//
+//   install(options)       install or upgrade — files, hook, patches backed up and merged
+//   uninstall(options)     remove the install, keeping audit history and other tools' files
+//   rollback(options)      restore the install the last install replaced (null without a snapshot)
+//   doctor(options)        check an install against its manifest, with { repair: true } to fix it
+//   readManifest(options)  the install's manifest, or null
+//   getInstallPlan()       every file an install writes
+//   exportBundle(options)  write this version as an offline .tgz bundle
+//   readBundle(file)       verify a bundle's checksums (and signature) and read it
+//
+// install takes `hooks`: names from HOOKS to register besides the update check,
+// and `fromBundle`: a bundle to verify and install instead of this version.
+// Every operation takes { target, configDir, projectDir }: `target` is
+// global (default, ~/.claude or CLAUDE_CONFIG_DIR) or local
+// (<projectDir>/.claude), and `configDir` overrides the directory.
+// Operations print nothing — they return structured results (documented in
+// lib/installer.js) and throw Errors with readable messages.
+// bin/install.js is the CLI around them.
+
+const {
+  MANIFEST_NAME,
+  TARGETS,
+  getConfigDir,
+  readManifest,
+  getInstallPlan,
+  install,
+  rollback,
+  uninstall,
+  doctor,
+} = require('./installer');
+const { HOOKS } = require('./settings');
+const { exportBundle, readBundle } = require('./bundle');
+const pkg = require('../package.json');
+
+module.exports = {
+  version: pkg.version,
+  MANIFEST_NAME,
+  TARGETS,
+  HOOKS,
+  install,
+  uninstall,
+  rollback,
+  doctor,
+  readManifest,
+  getConfigDir,
+  getInstallPlan,
+  exportBundle,
+  readBundle,
+};
@@ -0,0 +1,1158 @@
+// Install, upgrade, roll back, uninstall and check infra:audit in a Claude config directory.
+// No console output — every operation returns a structured result for the CLI
+// (bin/install.js) or another tool to present.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { merge3 } = require('./merge');
+const { unifiedDiff } = require('./diff');
+const { loadOverlay, describeOverlay, composeBlueprint } = require('./overlay');
+const {
+  readSettings,
+  formatSettings,
+  backupSettings,
+  writeSettings,
+  HOOKS,
+  OPTIONAL_HOOKS,
+  BACKUP_DIR_NAME,
+  getHookCommand,
+  getHookScript,
+  findOurHooks,
+  setOurHooks,
+  removeOurHooks,
+} = require('./settings');
+const { satisfies, isPrerelease } = require('../hooks/infra-audit-semver');
+const { HISTORY_DIR } = require('../infra/scripts/history');
+const { getGlobalConfigDir } = require('../infra/scripts/install-config');
+const { installFromBundle } = require('./bundle');
+const pkg = require('../package.json');
+
+// ──────────────────────────────────────────────────────
+// Constants — files we own
+// ──────────────────────────────────────────────────────
+
+const MANIFEST_NAME = 'infra-audit-manifest.json';
+const PATCHES_DIR_NAME = 'infra-audit-local-patches';
+const PRISTINE_DIR_NAME = 'infra-audit-pristine';
+const SNAPSHOT_DIR_NAME = 'infra-audit-snapshot';
+const STAGING_PREFIX = '.infra-audit-staging-';
+const CACHE_FILE_NAME = 'infra-audit-update-check.json';
+const CONFIG_NAME = 'infra-audit-config.json';
+const ARCHIVE_DIR_NAME = 'infra-audit-archive';
+
+const TARGETS = ['global', 'local'];
+
+// Generated per install — never three-way merged
+const NO_MERGE_FILES = ['infra/VERSION'];
+
+// ──────────────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────────────
+
+/**
+ * Get the config directory path
+ */
+function getConfigDir(isGlobal, projectDir = process.cwd()) {
+  if (isGlobal) return getGlobalConfigDir();
+  return path.join(path.resolve(projectDir), '.claude');
+}
+
+/**
+ * Where an operation acts: `target` is global (default) or local, and
+ * `configDir` overrides the directory (else ~/.claude, CLAUDE_CONFIG_DIR,
+ * or <projectDir>/.claude for local). `projectDir` in the result is the
+ * project root local hooks run from (null for global). Throws on an
+ * unknown target.
+ */
+function resolveTarget(options = {}) {
+  const target = options.target || 'global';
+  if (!TARGETS.includes(target)) {
+    throw new Error(`Unknown target "${target}" (use ${TARGETS.join(' or ')})`);
+  }
+  const isGlobal = target === 'global';
+  const configDir = options.configDir
+    ? path.resolve(options.configDir)
+    : getConfigDir(isGlobal, options.projectDir);
+  const projectDir = isGlobal ? null : path.resolve(options.projectDir || process.cwd());
+  return { target, isGlobal, configDir, projectDir };
+}
+
+/**
+ * Compute SHA256 hash of file contents
+ */
+function fileHash(filePath) {
+  const content = fs.readFileSync(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read an install manifest (null if missing or unreadable). Takes a config
+ * directory, or the same { target, configDir, projectDir } options as install.
+ */
+function readManifest(location = {}) {
+  const configDir = typeof location === 'string' ? location : resolveTarget(location).configDir;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(configDir, MANIFEST_NAME), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the update cache that older hooks always wrote to ~/.claude/cache,
+ * unless ~/.claude is itself an install that still owns it.
+ * Returns true if a file was removed.
+ */
+function removeLegacyCache(configDir) {
+  const defaultDir = path.join(os.homedir(), '.claude');
+  if (path.resolve(configDir) === defaultDir) return false;
+  if (fs.existsSync(path.join(defaultDir, MANIFEST_NAME))) return false;
+
+  const legacyCache = path.join(defaultDir, 'cache', CACHE_FILE_NAME);
+  if (!fs.existsSync(legacyCache)) return false;
+  fs.unlinkSync(legacyCache);
+  return true;
+}
+
+// ──────────────────────────────────────────────────────
+// Install Plan
+// ──────────────────────────────────────────────────────
+
+// Package `files` entries that ship with the package but aren't installed
+const NOT_INSTALLED = ['bin', 'lib', 'CHANGELOG.md'];
+
+// Top-level config directories shared with other tools — never removed
+const SHARED_DIRS = ['commands', 'hooks'];
+
+// How each packaged file is installed — first matching rule wins.
+// `template` rewrites ~/.claude/ references to the actual install path.
+const INSTALL_RULES = [
+  { match: /^commands\/.+\.md$/, template: true },
+  { match: /^infra\/scripts\/.+\.sh$/, template: true, mode: 0o755 },
+  { match: /^infra\/scripts\/.+\.js$/, mode: 0o755 },
+  { match: /./ },
+];
+
+/**
+ * The install rule for a packaged file (relative, forward slashes)
+ */
+function getInstallRule(rel) {
+  return INSTALL_RULES.find(r => r.match.test(rel));
+}
+
+/**
+ * List every file below a package directory (relative, forward slashes)
+ */
+function listPackageFiles(src, relDir) {
+  const fullDir = path.join(src, relDir);
+  if (!fs.existsSync(fullDir)) return [];
+  if (!fs.statSync(fullDir).isDirectory()) return [relDir];
+  return fs.readdirSync(fullDir)
+    .sort()
+    .flatMap(name => listPackageFiles(src, `${relDir}/${name}`));
+}
+
+/**
+ * Build the declarative install plan from the package `files` tree.
+ * Entries: { rel, source, template, mode, hashed } — `source` is null for
+ * files generated at install time, `hashed` marks files recorded in the
+ * manifest. Install, uninstall, manifest generation and doctor all use it.
+ */
+function getInstallPlan() {
+  const src = path.join(__dirname, '..');
+  const plan = [];
+
+  for (const root of pkg.files.filter(f => !NOT_INSTALLED.includes(f))) {
+    for (const rel of listPackageFiles(src, root)) {
+      const rule = getInstallRule(rel);
+      plan.push({
+        rel,
+        source: path.join(src, rel),
+        template: Boolean(rule.template),
+        mode: rule.mode,
+        hashed: true,
+      });
+    }
+  }
+
+  plan.push({ rel: 'infra/VERSION', source: null, hashed: true });
+  plan.push({ rel: MANIFEST_NAME, source: null, hashed: false });
+  return plan;
+}
+
+/**
+ * Render the installed content of a plan entry
+ */
+function renderPlanEntry(entry, pathPrefix) {
+  if (entry.rel === 'infra/VERSION') return pkg.version;
+  const content = fs.readFileSync(entry.source, 'utf8');
+  // Path template: replace ~/.claude/ with the actual install path
+  return entry.template ? content.replace(/~\/\.claude\//g, pathPrefix) : content;
+}
+
+/**
+ * Directories the plan creates that are safe to remove once empty,
+ * deepest first
+ */
+function getPlanDirs(plan) {
+  const dirs = new Set();
+  for (const { rel } of plan) {
+    for (let dir = path.posix.dirname(rel); dir !== '.'; dir = path.posix.dirname(dir)) {
+      if (!SHARED_DIRS.includes(dir)) dirs.add(dir);
+    }
+  }
+  return [...dirs].sort((a, b) => b.split('/').length - a.split('/').length || a.localeCompare(b));
+}
+
+// ──────────────────────────────────────────────────────
+// Release Policy
+// ──────────────────────────────────────────────────────
+
+/**
+ * Read the install's infra-audit-config.json ({} if missing or unreadable)
+ */
+function readInstallConfig(configDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(configDir, CONFIG_NAME), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The install's release channel and version pin, with the channel, pin and
+ * unpin options applied. The update check hook reads the same settings.
+ */
+function getReleasePolicy(config, options = {}) {
+  return {
+    channel: options.channel || config.channel || 'latest',
+    pin: options.unpin ? null : options.pin || config.pin || null,
+  };
+}
+
+/**
+ * Check a version against a release policy.
+ * Returns { error } when it is outside the pin, { warning } for a
+ * pre-release on the stable channel, or {} when it is fine.
+ */
+function checkReleasePolicy(version, policy) {
+  if (policy.pin && !satisfies(version, policy.pin)) {
+    return { error: `v${version} is outside the pinned range ${policy.pin}` };
+  }
+  if (policy.channel === 'latest' && isPrerelease(version)) {
+    return { warning: `v${version} is a pre-release, but this install follows the stable channel` };
+  }
+  return {};
+}
+
+// ──────────────────────────────────────────────────────
+// Hooks
+// ──────────────────────────────────────────────────────
+
+/**
+ * The optional hooks an install registers: the hooks option (names, [] for
+ * none), else those recorded in the config. Unknown names in the option
+ * throw; unknown names in the config (from another version) are returned
+ * as `ignored`. Returns { selected, ignored }.
+ */
+function getHookSelection(config, options = {}) {
+  const names = options.hooks || config.hooks || [];
+  const unknown = names.filter(name => !OPTIONAL_HOOKS.includes(name));
+  if (options.hooks && unknown.length > 0) {
+    throw new Error(`Unknown hook ${unknown.join(', ')} (use ${OPTIONAL_HOOKS.join(', ')})`);
+  }
+  return { selected: OPTIONAL_HOOKS.filter(name => names.includes(name)), ignored: unknown };
+}
+
+/**
+ * Every hook an install registers — the update check, then the selected
+ * optional hooks — as [{ name, event, command }]
+ */
+function getWantedHooks(isGlobal, configDir, selected, projectDir) {
+  return ['update-check', ...selected].map(name => ({
+    name,
+    event: HOOKS[name].event,
+    command: getHookCommand(isGlobal, configDir, name, projectDir),
+  }));
+}
+
+// ──────────────────────────────────────────────────────
+// Blueprint Overlay
+// ──────────────────────────────────────────────────────
+
+const OVERLAY_ACTIONS = { replace: 'replaced', extend: 'extended', remove: 'removed', add: 'added' };
+
+/**
+ * Compose an overlay into the rendered install files: its blueprint.md
+ * sections into infra/blueprint.md, its templates over (or beside) the
+ * shipped infra/blueprints/. Each touched file gets a `note` saying how.
+ * Returns the installed paths the overlay touched.
+ */
+function applyOverlay(files, overlay) {
+  const label = describeOverlay(overlay);
+  const touched = [];
+
+  if (overlay.blueprint !== null) {
+    const file = files.find(f => f.rel === 'infra/blueprint.md');
+    const { content, changes } = composeBlueprint(file.content, overlay.blueprint, label);
+    const counts = Object.keys(OVERLAY_ACTIONS)
+      .map(action => [action, changes.filter(c => c.action === action).length])
+      .filter(([, n]) => n > 0)
+      .map(([action, n]) => `${n} ${OVERLAY_ACTIONS[action]}`);
+    file.content = content;
+    file.note = `${label}: ${counts.join(', ') || 'no sections changed'}`;
+    touched.push(file.rel);
+  }
+
+  for (const [name, content] of Object.entries(overlay.templates)) {
+    const rel = `infra/blueprints/${name}`;
+    const existing = files.find(f => f.rel === rel);
+    if (existing) {
+      existing.content = content;
+      existing.note = `from ${label}`;
+    } else {
+      files.push({ rel, content, note: `added by ${label}` });
+    }
+    touched.push(rel);
+  }
+  return touched;
+}
+
+// ──────────────────────────────────────────────────────
+// Local Patch Persistence
+// ──────────────────────────────────────────────────────
+
+/**
+ * Detect user-modified files by comparing against install manifest.
+ */
+function findLocalPatches(configDir) {
+  const manifest = readManifest(configDir);
+  if (!manifest) return [];
+
+  const modified = [];
+  for (const [relPath, originalHash] of Object.entries(manifest.files || {})) {
+    const fullPath = path.join(configDir, relPath);
+    if (!fs.existsSync(fullPath)) continue;
+    if (fileHash(fullPath) !== originalHash) {
+      modified.push(relPath);
+    }
+  }
+  return modified;
+}
+
+/**
+ * Back up modified files before overwriting. Returns their paths.
+ */
+function saveLocalPatches(configDir) {
+  const manifest = readManifest(configDir);
+  const modified = findLocalPatches(configDir);
+  const patchesDir = path.join(configDir, PATCHES_DIR_NAME);
+
+  for (const relPath of modified) {
+    const backupPath = path.join(patchesDir, relPath);
+    fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+    fs.copyFileSync(path.join(configDir, relPath), backupPath);
+  }
+
+  if (modified.length > 0) {
+    const meta = {
+      backed_up_at: new Date().toISOString(),
+      from_version: manifest.version,
+      files: modified,
+    };
+    fs.writeFileSync(path.join(patchesDir, 'backup-meta.json'), JSON.stringify(meta, null, 2));
+  }
+  return modified;
+}
+
+/**
+ * Three-way merge one file against the pristine copy of the previous version.
+ * Returns null when the file has no merge base.
+ */
+function mergeWithPristine(configDir, relPath, ours, theirs) {
+  const basePath = path.join(configDir, PRISTINE_DIR_NAME, relPath);
+  if (NO_MERGE_FILES.includes(relPath) || !fs.existsSync(basePath)) return null;
+  return merge3(fs.readFileSync(basePath, 'utf8'), ours, theirs, { ours: 'local', theirs: `v${pkg.version}` });
+}
+
+/**
+ * Three-way merge backed-up local patches into the freshly staged files.
+ * Base is the pristine copy of the previous version, "ours" the backed-up
+ * local edit, "theirs" the new upstream file.
+ */
+function mergeLocalPatches(configDir, stageDir, modified) {
+  const result = { merged: [], conflicts: [], unmerged: [] };
+  if (modified.length === 0) return result;
+
+  const patchesDir = path.join(configDir, PATCHES_DIR_NAME);
+  const metaPath = path.join(patchesDir, 'backup-meta.json');
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+
+  for (const relPath of modified) {
+    const installedPath = path.join(stageDir, relPath);
+    const merge = fs.existsSync(installedPath) && mergeWithPristine(
+      configDir,
+      relPath,
+      fs.readFileSync(path.join(patchesDir, relPath), 'utf8'),
+      fs.readFileSync(installedPath, 'utf8')
+    );
+    if (!merge) {
+      result.unmerged.push(relPath);
+      continue;
+    }
+
+    const { content, conflicts } = merge;
+    fs.writeFileSync(installedPath, content);
+
+    if (conflicts > 0) {
+      result.conflicts.push({ file: relPath, hunks: conflicts });
+    } else {
+      result.merged.push(relPath);
+    }
+  }
+
+  meta.to_version = pkg.version;
+  meta.merged = result.merged;
+  meta.conflicts = result.conflicts;
+  meta.unmerged = result.unmerged;
+  fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+  return result;
+}
+
+/**
+ * Keep an untouched copy of every shipped file as the base for the next
+ * upgrade's three-way merge.
+ */
+function writePristineCopies(stageDir, files) {
+  const pristineDir = path.join(stageDir, PRISTINE_DIR_NAME);
+  for (const { rel, content } of files) {
+    const dest = path.join(pristineDir, rel);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, content);
+  }
+}
+
+// ──────────────────────────────────────────────────────
+// Transactional Install
+// ──────────────────────────────────────────────────────
+
+/**
+ * Copy a file or directory tree, preserving file modes
+ */
+function copyPath(from, to) {
+  if (fs.statSync(from).isDirectory()) {
+    fs.mkdirSync(to, { recursive: true });
+    for (const name of fs.readdirSync(from)) {
+      copyPath(path.join(from, name), path.join(to, name));
+    }
+  } else {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(from, to);
+  }
+}
+
+/**
+ * Write every file of the new install into the staging directory:
+ * installed files (with local patches merged), pristine copies,
+ * settings.json and the manifest. Nothing in configDir is touched.
+ */
+function stageInstall(configDir, stageDir, files, modified, settingsContent, target, overlay) {
+  for (const { rel, content, mode } of files) {
+    const dest = path.join(stageDir, rel);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, content);
+    if (mode) fs.chmodSync(dest, mode);
+    if (!fs.existsSync(dest)) {
+      throw new Error(`Failed to stage ${rel}`);
+    }
+  }
+
+  const patches = mergeLocalPatches(configDir, stageDir, modified);
+  writePristineCopies(stageDir, files);
+
+  fs.writeFileSync(path.join(stageDir, 'settings.json'), settingsContent);
+
+  // Hash upstream content so merged local edits still register as modified
+  const manifest = {
+    version: pkg.version,
+    target,
+    timestamp: new Date().toISOString(),
+    files: {},
+  };
+  if (overlay) manifest.overlay = overlay;
+  for (const { rel } of files) {
+    manifest.files[rel] = fileHash(path.join(stageDir, PRISTINE_DIR_NAME, rel));
+  }
+  fs.writeFileSync(path.join(stageDir, MANIFEST_NAME), JSON.stringify(manifest, null, 2));
+
+  return patches;
+}
+
+/**
+ * Snapshot the current state of every path the install is about to replace.
+ * Paths that don't exist yet are recorded so a rollback can remove them.
+ */
+function takeSnapshot(configDir, snapshotDir, relPaths, meta) {
+  fs.rmSync(snapshotDir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(snapshotDir, 'files'), { recursive: true });
+
+  const entries = relPaths.map(relPath => {
+    const fullPath = path.join(configDir, relPath);
+    const existed = fs.existsSync(fullPath);
+    if (existed) copyPath(fullPath, path.join(snapshotDir, 'files', relPath));
+    return { path: relPath, existed };
+  });
+
+  const snapshot = { created_at: new Date().toISOString(), ...meta, entries };
+  fs.writeFileSync(path.join(snapshotDir, 'snapshot.json'), JSON.stringify(snapshot, null, 2));
+  return snapshot;
+}
+
+/**
+ * Put every snapshotted path back exactly as it was.
+ * Returns the snapshot metadata, or null if there is no snapshot.
+ */
+function restoreSnapshot(configDir, snapshotDir) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(path.join(snapshotDir, 'snapshot.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+
+  for (const { path: relPath, existed } of snapshot.entries) {
+    const fullPath = path.join(configDir, relPath);
+    fs.rmSync(fullPath, { recursive: true, force: true });
+    if (existed) copyPath(path.join(snapshotDir, 'files', relPath), fullPath);
+  }
+  return snapshot;
+}
+
+/**
+ * Snapshot the previous install, then move staged paths into place.
+ * The manifest goes last, so an interrupted swap never looks complete.
+ * Any failure restores the snapshot before rethrowing; the snapshot only
+ * replaces the one used by rollback once the swap has succeeded.
+ */
+function commitInstall(configDir, stageDir, relPaths, previousVersion) {
+  const pendingSnapshot = path.join(stageDir, SNAPSHOT_DIR_NAME);
+  takeSnapshot(configDir, pendingSnapshot, relPaths, { version: previousVersion || null, replaced_by: pkg.version });
+  try {
+    for (const relPath of relPaths) {
+      const staged = path.join(stageDir, relPath);
+      const dest = path.join(configDir, relPath);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.rmSync(dest, { recursive: true, force: true });
+      // Nothing staged means the path is no longer installed (e.g. a dropped overlay template)
+      if (fs.existsSync(staged)) fs.renameSync(staged, dest);
+    }
+  } catch (e) {
+    restoreSnapshot(configDir, pendingSnapshot);
+    throw e;
+  }
+
+  const snapshotDir = path.join(configDir, SNAPSHOT_DIR_NAME);
+  fs.rmSync(snapshotDir, { recursive: true, force: true });
+  fs.renameSync(pendingSnapshot, snapshotDir);
+}
+
+// ──────────────────────────────────────────────────────
+// Dry Run Preview
+// ──────────────────────────────────────────────────────
+
+/**
+ * Classify what installing `content` at relPath would do, with a diff
+ */
+function previewFile(configDir, relPath, content, modified) {
+  const dest = path.join(configDir, relPath);
+  const labels = { fromFile: `a/${relPath}`, toFile: `b/${relPath}` };
+
+  if (!fs.existsSync(dest)) {
+    return { file: relPath, status: 'create', diff: unifiedDiff('', content, labels) };
+  }
+
+  const current = fs.readFileSync(dest, 'utf8');
+  if (modified.includes(relPath)) {
+    const merge = mergeWithPristine(configDir, relPath, current, content);
+    let note = 'no merge base — backed up and overwritten';
+    if (merge) {
+      note = merge.conflicts > 0 ? `${merge.conflicts} conflicting hunk(s)` : 'merges cleanly';
+    }
+    return {
+      file: relPath,
+      status: 'locally-modified',
+      note,
+      diff: unifiedDiff(current, merge ? merge.content : content, labels),
+    };
+  }
+
+  if (current === content) {
+    return { file: relPath, status: 'unchanged', diff: '' };
+  }
+  return { file: relPath, status: 'update', diff: unifiedDiff(current, content, labels) };
+}
+
+/**
+ * What installing `content` at relPath does to the file there now:
+ * create, update or unchanged
+ */
+function installStatus(configDir, relPath, content) {
+  const dest = path.join(configDir, relPath);
+  if (!fs.existsSync(dest)) return 'create';
+  return fs.readFileSync(dest, 'utf8') === content ? 'unchanged' : 'update';
+}
+
+/**
+ * Preview the settings.json hook merge
+ */
+function previewSettings(settingsPath, next) {
+  const exists = fs.existsSync(settingsPath);
+  const current = exists ? fs.readFileSync(settingsPath, 'utf8') : '';
+  let status = exists ? 'update' : 'create';
+  if (current === next) status = 'unchanged';
+  return {
+    file: 'settings.json',
+    status,
+    diff: unifiedDiff(current, next, { fromFile: 'a/settings.json', toFile: 'b/settings.json' }),
+  };
+}
+
+// ──────────────────────────────────────────────────────
+// Install
+// ──────────────────────────────────────────────────────
+
+/**
+ * Install or upgrade. Options: target, configDir, projectDir, dryRun,
+ * channel, pin, unpin, force, overlay, noOverlay, hooks (optional hook
+ * names to register, [] for none — recorded in the config), fromBundle
+ * (an export-bundle .tgz to install instead of this version — verified
+ * first, see lib/bundle.js), verifyKey (PEM public key the bundle must
+ * be signed with) and allowUnsigned (install it without checking a signature).
+ *
+ * Returns { target, configDir, previousVersion, version, dryRun, warnings,
+ * files, removed, hooks, policy, overlay, overlayRemoved, patches,
+ * legacyCacheRemoved, preview }:
+ *   files    [{ file, status, note }] written (or that would be written) —
+ *            status is create, update, unchanged, or for locally modified
+ *            files merged, conflict or overwritten (locally-modified on a dry run)
+ *   removed  paths removed because the overlay no longer has them
+ *   hooks    { registered, added, removed, backup } — names of our hooks in
+ *            settings.json and what changed; backup is the copy of
+ *            settings.json taken before changing it
+ *   policy   { channel, pin, changed }
+ *   patches  { backedUp, merged, conflicts, unmerged } — null on a dry run
+ *   preview  [{ file, status, note, diff }] — dry run only
+ *   bundle   { file, version, files, signed, verified } — fromBundle only
+ * Throws if the version is outside the pin (without `force`), the bundle
+ * fails verification or a step fails; a failed install leaves the previous
+ * one intact. An error thrown after locally modified files were backed up
+ * carries their paths as `backedUp`.
+ */
+function install(options = {}) {
+  if (options.fromBundle) return installFromBundle(options.fromBundle, options);
+
+  const { target, isGlobal, configDir, projectDir } = resolveTarget(options);
+  const dryRun = Boolean(options.dryRun);
+
+  // Path prefix for file references in markdown content — local installs
+  // are referenced from the project root, like their hooks
+  const localDir = isGlobal ? null : path.relative(projectDir, configDir);
+  const pathPrefix = localDir === null || localDir.startsWith('..') || path.isAbsolute(localDir)
+    ? `${configDir.replace(/\\/g, '/')}/`
+    : `${['.', ...localDir.split(path.sep).filter(Boolean)].join('/')}/`;
+
+  const previousManifest = readManifest(configDir) || {};
+  const previousVersion = previousManifest.version || null;
+  const warnings = [];
+
+  // Refuse versions outside the install's pin (unless force)
+  const config = readInstallConfig(configDir);
+  const policy = getReleasePolicy(config, options);
+  const { error: policyError, warning: policyWarning } = checkReleasePolicy(pkg.version, policy);
+  if (policyError && !options.force) {
+    throw new Error(`${policyError} (${CONFIG_NAME}) — pass --force to install anyway`);
+  }
+  if (policyError || policyWarning) warnings.push(policyError || policyWarning);
+
+  // Organisation overlay: the overlay option, else the one recorded in the config
+  const overlaySource = options.noOverlay ? null : options.overlay || config.overlay || null;
+  const overlay = overlaySource ? loadOverlay(overlaySource) : null;
+
+  // Optional hooks: the hooks option, else the ones recorded in the config
+  const { selected: hookNames, ignored: ignoredHooks } = getHookSelection(config, options);
+  if (ignoredHooks.length > 0) {
+    warnings.push(`Ignoring unknown hook ${ignoredHooks.join(', ')} in ${CONFIG_NAME}`);
+  }
+
+  // Channel / pin / unpin / overlay / hooks options update the install's config alongside the files
+  const policyChanged = Boolean(options.channel || options.pin || options.unpin);
+  const configChanged = policyChanged || Boolean(options.overlay || options.noOverlay || options.hooks);
+  const nextConfig = {
+    ...config,
+    channel: policy.channel,
+    pin: policy.pin || undefined,
+    overlay: overlay ? overlay.source : undefined,
+    hooks: hookNames.length > 0 ? hookNames : undefined,
+  };
+  const configContent = JSON.stringify(nextConfig, null, 2) + '\n';
+
+  // ── 1. Render every planned file in memory (preserves infra/history/) ──
+  const files = getInstallPlan()
+    .filter(entry => entry.hashed)
+    .map(entry => ({
+      rel: entry.rel,
+      content: renderPlanEntry(entry, pathPrefix),
+      mode: entry.mode,
+      note: null,
+    }));
+  const overlayFiles = overlay ? applyOverlay(files, overlay) : [];
+  const overlayInfo = overlay
+    ? { source: overlay.source, name: overlay.name, version: overlay.version, files: overlayFiles }
+    : null;
+
+  // Files a previous overlay added that this install no longer has
+  const droppedFiles = ((previousManifest.overlay && previousManifest.overlay.files) || [])
+    .filter(rel => !files.some(f => f.rel === rel));
+
+  // ── 2. Settings.json — additive hook merge (throws if it can't be parsed) ──
+  const settingsPath = path.join(configDir, 'settings.json');
+  const { settings, text: settingsText } = readSettings(settingsPath);
+  const wantedHooks = getWantedHooks(isGlobal, configDir, hookNames, projectDir);
+  const hookChanges = setOurHooks(settings, wantedHooks);
+  const settingsContent = formatSettings(settings, settingsText);
+
+  const result = {
+    target,
+    configDir,
+    previousVersion,
+    version: pkg.version,
+    dryRun,
+    warnings,
+    files: files.map(f => ({ file: f.rel, status: null, note: f.note })),
+    removed: droppedFiles.filter(rel => fs.existsSync(path.join(configDir, rel))),
+    hooks: { registered: wantedHooks.map(h => h.name), ...hookChanges, backup: null },
+    policy: { ...policy, changed: policyChanged },
+    overlay: overlayInfo ? { ...overlayInfo, label: describeOverlay(overlay) } : null,
+    overlayRemoved: options.noOverlay && config.overlay ? config.overlay : null,
+    patches: null,
+    legacyCacheRemoved: false,
+    preview: null,
+  };
+
+  if (dryRun) {
+    const modified = findLocalPatches(configDir);
+    const preview = files.map(f => previewFile(configDir, f.rel, f.content, modified));
+    preview.push(previewSettings(settingsPath, settingsContent));
+    for (const rel of result.removed) {
+      preview.push({ file: rel, status: 'remove', note: 'no longer in the overlay', diff: '' });
+    }
+    if (configChanged) preview.push(previewFile(configDir, CONFIG_NAME, configContent, []));
+    preview.push({
+      file: MANIFEST_NAME,
+      status: fs.existsSync(path.join(configDir, MANIFEST_NAME)) ? 'update' : 'create',
+      note: 'regenerated',
+      diff: '',
+    });
+    result.preview = preview;
+    result.files.forEach((f, i) => {
+      f.status = preview[i].status;
+    });
+    return result;
+  }
+
+  result.files.forEach((f, i) => {
+    f.status = installStatus(configDir, f.file, files[i].content);
+  });
+
+  // Save any locally modified files before overwriting
+  const modified = saveLocalPatches(configDir);
+  if (settingsContent !== settingsText) result.hooks.backup = backupSettings(settingsPath);
+
+  // ── 3. Stage everything, then swap it into place ──
+  fs.mkdirSync(configDir, { recursive: true });
+  const stageDir = fs.mkdtempSync(path.join(configDir, STAGING_PREFIX));
+  let patches;
+  try {
+    patches = stageInstall(configDir, stageDir, files, modified, settingsContent, target, overlayInfo);
+    if (configChanged) fs.writeFileSync(path.join(stageDir, CONFIG_NAME), configContent);
+    commitInstall(configDir, stageDir, [
+      ...files.map(f => f.rel),
+      ...droppedFiles,
+      PRISTINE_DIR_NAME,
+      'settings.json',
+      ...(configChanged ? [CONFIG_NAME] : []),
+      MANIFEST_NAME,
+    ], previousVersion);
+  } catch (e) {
+    if (modified.length) e.backedUp = modified;
+    throw e;
+  } finally {
+    fs.rmSync(stageDir, { recursive: true, force: true });
+  }
+
+  result.patches = { backedUp: modified, ...patches };
+  const patchStatus = new Map([
+    ...patches.merged.map(rel => [rel, 'merged']),
+    ...patches.conflicts.map(c => [c.file, 'conflict']),
+    ...patches.unmerged.map(rel => [rel, 'overwritten']),
+  ]);
+  for (const f of result.files) {
+    if (patchStatus.has(f.file)) f.status = patchStatus.get(f.file);
+  }
+  result.legacyCacheRemoved = removeLegacyCache(configDir);
+  return result;
+}
+
+// ──────────────────────────────────────────────────────
+// Rollback
+// ──────────────────────────────────────────────────────
+
+/**
+ * Restore the install that the last install replaced, from its snapshot.
+ * Returns { target, configDir, restoredVersion, replacedVersion, createdAt,
+ * entries: [{ path, existed }], settingsBackup } — restoredVersion is null
+ * when the rollback removed a fresh install — or null if there is no snapshot.
+ */
+function rollback(options = {}) {
+  const { target, configDir } = resolveTarget(options);
+  const snapshotDir = path.join(configDir, SNAPSHOT_DIR_NAME);
+  const settingsBackup = fs.existsSync(path.join(snapshotDir, 'snapshot.json'))
+    ? backupSettings(path.join(configDir, 'settings.json'))
+    : null;
+  const snapshot = restoreSnapshot(configDir, snapshotDir);
+  if (!snapshot) return null;
+  fs.rmSync(snapshotDir, { recursive: true, force: true });
+
+  return {
+    target,
+    configDir,
+    restoredVersion: snapshot.version,
+    replacedVersion: snapshot.replaced_by,
+    createdAt: snapshot.created_at,
+    entries: snapshot.entries,
+    settingsBackup,
+  };
+}
+
+// ──────────────────────────────────────────────────────
+// Uninstall
+// ──────────────────────────────────────────────────────
+
+/**
+ * Remove every infra:audit file, our settings.json hooks, caches, backups
+ * and snapshots. Options: purge (also remove audit history and
+ * infra-audit-config.json), keepPatches (keep infra-audit-local-patches/).
+ *
+ * The manifest says which files are ours (the install plan, for installs
+ * without one). Files that no longer match their manifest hash were changed
+ * locally: they are moved to infra-audit-archive/<timestamp>/, not deleted.
+ *
+ * Returns { target, configDir, previousVersion, existed, removed, archived,
+ * kept, settingsBackup }:
+ *   removed   [{ path, kind }] — kind is file, directory, hook (with the
+ *             hook's `name`), cache, legacy-cache, patches, pristine,
+ *             snapshot, history or config
+ *   archived  [{ path, archive }] locally modified files and where they went
+ *   kept      [{ path, reason }] everything of ours left in place, and why
+ * Throws before removing anything if settings.json can't be parsed.
+ */
+function uninstall(options = {}) {
+  const { target, isGlobal, configDir } = resolveTarget(options);
+  const manifest = readManifest(configDir) || {};
+  const result = {
+    target,
+    configDir,
+    previousVersion: manifest.version || null,
+    existed: fs.existsSync(configDir),
+    removed: [],
+    archived: [],
+    kept: [],
+    settingsBackup: null,
+  };
+  if (!result.existed) return result;
+  const removed = (relPath, kind, fields = {}) => result.removed.push({ path: relPath, kind, ...fields });
+  const kept = (relPath, reason) => result.kept.push({ path: relPath, reason });
+  const settingsPath = path.join(configDir, 'settings.json');
+  const { settings, text: settingsText } = readSettings(settingsPath);
+
+  // Our files and their installed hashes — from the manifest, else the plan (unverified)
+  const plan = getInstallPlan();
+  const owned = manifest.files
+    ? [...Object.entries(manifest.files), [MANIFEST_NAME, null]]
+    : plan.map(e => [e.rel, null]);
+
+  // Remove our specific files (selective — don't touch other files in commands/infra/).
+  // Locally modified ones are archived first.
+  const archiveRel = path.join(ARCHIVE_DIR_NAME, new Date().toISOString().replace(/[:.]/g, '-'));
+  for (const [relPath, hash] of owned) {
+    const fullPath = path.join(configDir, relPath);
+    if (!fs.existsSync(fullPath)) continue;
+    if (hash && fileHash(fullPath) !== hash) {
+      const archivePath = path.join(archiveRel, relPath);
+      copyPath(fullPath, path.join(configDir, archivePath));
+      result.archived.push({ path: relPath, archive: archivePath });
+    }
+    fs.unlinkSync(fullPath);
+    removed(relPath, 'file');
+  }
+  if (result.archived.length > 0) {
+    kept(`${archiveRel}/`, `${result.archived.length} locally modified file(s), moved out of the install`);
+  } else if (fs.existsSync(path.join(configDir, ARCHIVE_DIR_NAME))) {
+    kept(`${ARCHIVE_DIR_NAME}/`, 'locally modified files from an earlier uninstall');
+  }
+
+  // Audit history is user data — only --purge removes it. Global installs
+  // share ~/.claude/infra/history/ with the slash commands.
+  const historyDirs = [...new Set([
+    path.join(configDir, 'infra', 'history'),
+    ...(isGlobal ? [HISTORY_DIR] : []),
+  ])].filter(dir => fs.existsSync(dir));
+  for (const dir of historyDirs) {
+    const label = path.relative(configDir, dir).startsWith('..') ? dir : path.relative(configDir, dir);
+    if (options.purge) {
+      fs.rmSync(dir, { recursive: true });
+      removed(label, 'history');
+    } else {
+      kept(`${label}/`, 'audit history (--purge removes it)');
+    }
+  }
+
+  // Clean up empty directories (only if we emptied them)
+  for (const dir of getPlanDirs([...plan, ...owned.map(([rel]) => ({ rel }))])) {
+    const fullDir = path.join(configDir, dir);
+    if (!fs.existsSync(fullDir)) continue;
+    if (fs.readdirSync(fullDir).length === 0) {
+      fs.rmdirSync(fullDir);
+      removed(dir, 'directory');
+    } else {
+      kept(`${dir}/`, 'contains other files');
+    }
+  }
+
+  // Remove our hooks from settings.json
+  const hookNames = removeOurHooks(settings);
+  if (hookNames.length > 0) {
+    result.settingsBackup = writeSettings(settingsPath, settings, settingsText);
+    for (const name of hookNames) removed('settings.json', 'hook', { name });
+  }
+
+  // Remove cache file
+  const cacheFile = path.join('cache', CACHE_FILE_NAME);
+  if (fs.existsSync(path.join(configDir, cacheFile))) {
+    fs.unlinkSync(path.join(configDir, cacheFile));
+    removed(cacheFile, 'cache');
+  }
+  if (removeLegacyCache(configDir)) {
+    removed(path.join(os.homedir(), '.claude', 'cache', CACHE_FILE_NAME), 'legacy-cache');
+  }
+
+  // Remove local patch backups (unless keepPatches), pristine merge bases and the rollback snapshot
+  for (const [dir, kind] of [[PATCHES_DIR_NAME, 'patches'], [PRISTINE_DIR_NAME, 'pristine'], [SNAPSHOT_DIR_NAME, 'snapshot']]) {
+    const fullDir = path.join(configDir, dir);
+    if (!fs.existsSync(fullDir)) continue;
+    if (kind === 'patches' && options.keepPatches) {
+      kept(`${dir}/`, 'local patch backups (--keep-patches)');
+      continue;
+    }
+    fs.rmSync(fullDir, { recursive: true });
+    removed(dir, kind);
+  }
+
+  // The install's release policy and hook selection
+  if (fs.existsSync(path.join(configDir, CONFIG_NAME))) {
+    if (options.purge) {
+      fs.unlinkSync(path.join(configDir, CONFIG_NAME));
+      removed(CONFIG_NAME, 'config');
+    } else {
+      kept(CONFIG_NAME, 'channel, pin and hook settings for a reinstall (--purge removes it)');
+    }
+  }
+  if (fs.existsSync(path.join(configDir, BACKUP_DIR_NAME))) {
+    kept(`${BACKUP_DIR_NAME}/`, 'copies of settings.json from before each change');
+  }
+
+  return result;
+}
+
+// ──────────────────────────────────────────────────────
+// Doctor
+// ──────────────────────────────────────────────────────
+
+// Directories whose every file is ours — anything not in the manifest is stale
+const OWNED_DIRS = ['infra/blueprints', 'infra/scripts'];
+
+/**
+ * Resolve the hook file a settings.json command points at
+ */
+function hookCommandTarget(command, projectDir) {
+  const target = getHookScript(command);
+  // Local installs use a path relative to the project root
+  return path.isAbsolute(target) ? target : path.join(projectDir, target);
+}
+
+/**
+ * Check an install against its manifest. Every problem carries an
+ * optional `fix` function used by repair.
+ */
+function diagnose(isGlobal, configDir, projectDir) {
+  const manifest = readManifest(configDir);
+  const problems = [];
+  const problem = (check, severity, message, fields = {}) => problems.push({ check, severity, message, ...fields });
+
+  if (!manifest) {
+    problem('manifest', 'error', `No ${MANIFEST_NAME} — not installed here (run the installer)`);
+    return { manifest, problems };
+  }
+
+  // ── Files present and unmodified ──
+  const pristineDir = path.join(configDir, PRISTINE_DIR_NAME);
+  const versionPath = path.join(configDir, 'infra', 'VERSION');
+  const installedVersion = fs.existsSync(versionPath) ? fs.readFileSync(versionPath, 'utf8').trim() : null;
+
+  for (const [relPath, hash] of Object.entries(manifest.files || {})) {
+    const fullPath = path.join(configDir, relPath);
+    if (!fs.existsSync(fullPath)) {
+      const pristinePath = path.join(pristineDir, relPath);
+      const fix = fs.existsSync(pristinePath) && fileHash(pristinePath) === hash
+        ? () => copyPath(pristinePath, fullPath)
+        : null;
+      problem('files', 'error', `Missing ${relPath}`, { file: relPath, fix });
+    } else if (fileHash(fullPath) !== hash && !(relPath === 'infra/VERSION' && installedVersion !== manifest.version)) {
+      problem('files', 'warning', `Locally modified ${relPath} (kept — merged on upgrade)`, { file: relPath });
+    }
+  }
+
+  // Same version, but a planned file was never recorded — an incomplete install
+  if (manifest.version === pkg.version) {
+    for (const { rel, hashed } of getInstallPlan()) {
+      if (hashed && !(rel in manifest.files)) {
+        problem('files', 'error', `${rel} is missing from the manifest (re-run the installer)`, { file: rel });
+      }
+    }
+  }
+
+  // ── VERSION matches manifest ──
+  if (installedVersion !== null && installedVersion !== manifest.version) {
+    problem('version', 'error', `infra/VERSION says ${installedVersion}, manifest says ${manifest.version}`, {
+      file: 'infra/VERSION',
+      fix: () => fs.writeFileSync(versionPath, manifest.version),
+    });
+  }
+
+  // ── Selected hooks registered, pointing at existing hook files ──
+  const settingsPath = path.join(configDir, 'settings.json');
+  let settings = null;
+  let settingsText;
+  try {
+    ({ settings, text: settingsText } = readSettings(settingsPath));
+  } catch (e) {
+    problem('hook', 'error', e.message, { file: 'settings.json' });
+  }
+  const wanted = getWantedHooks(isGlobal, configDir, getHookSelection(readInstallConfig(configDir)).selected, projectDir);
+  const registered = settings ? findOurHooks(settings) : [];
+  const fixHook = () => {
+    setOurHooks(settings, wanted);
+    writeSettings(settingsPath, settings, settingsText);
+  };
+  for (const { name, event } of wanted) {
+    if (settings && !registered.some(h => h.name === name && h.event === event)) {
+      problem('hook', 'error', `No ${event} ${name} hook in settings.json`, { file: 'settings.json', fix: fixHook });
+    }
+  }
+  for (const { name, command } of registered) {
+    const target = hookCommandTarget(command, projectDir || path.dirname(configDir));
+    if (!fs.existsSync(target)) {
+      problem('hook', 'error', `${name} hook points at missing file ${target}`, { file: 'settings.json', fix: fixHook });
+    } else if (!wanted.some(h => h.name === name)) {
+      problem('hook', 'warning', `${name} hook is registered but not selected in ${CONFIG_NAME}`, { file: 'settings.json' });
+    }
+  }
+
+  // ── Scripts are executable ──
+  // Every file the install rules give an executable mode (.sh and .js scripts)
+  for (const relPath of Object.keys(manifest.files || {})) {
+    const fullPath = path.join(configDir, relPath);
+    const { mode } = getInstallRule(relPath);
+    if (!mode || (mode & 0o111) === 0 || !fs.existsSync(fullPath)) continue;
+    if ((fs.statSync(fullPath).mode & 0o111) === 0) {
+      problem('permissions', 'error', `${relPath} is not executable`, {
+        file: relPath,
+        fix: () => fs.chmodSync(fullPath, mode),
+      });
+    }
+  }
+
+  // ── Stale files from older versions or interrupted installs ──
+  const stale = [];
+  if (fs.existsSync(configDir)) {
+    for (const name of fs.readdirSync(configDir)) {
+      if (name.startsWith(STAGING_PREFIX)) stale.push(name);
+    }
+  }
+  for (const dir of OWNED_DIRS) {
+    const fullDir = path.join(configDir, dir);
+    if (!fs.existsSync(fullDir)) continue;
+    for (const name of fs.readdirSync(fullDir)) {
+      const relPath = `${dir}/${name}`;
+      if (!(relPath in manifest.files)) stale.push(relPath);
+    }
+  }
+  for (const relPath of stale) {
+    problem('stale', 'error', `Stale ${relPath}`, {
+      file: relPath,
+      fix: () => fs.rmSync(path.join(configDir, relPath), { recursive: true, force: true }),
+    });
+  }
+
+  return { manifest, problems };
+}
+
+/**
+ * Check an install against its manifest, repairing what can be repaired
+ * when `repair` is set. Returns { target, config_dir, version, healthy,
+ * problems: [{ check, severity, message, file, repairable, repaired,
+ * repair_error }] } — the `doctor --json` report.
+ */
+function doctor(options = {}) {
+  const { target, isGlobal, configDir, projectDir } = resolveTarget(options);
+  const { manifest, problems } = diagnose(isGlobal, configDir, projectDir);
+
+  if (options.repair) {
+    for (const p of problems) {
+      if (!p.fix) continue;
+      try {
+        p.fix();
+        p.repaired = true;
+      } catch (e) {
+        p.repair_error = e.message;
+      }
+    }
+  }
+
+  const remaining = problems.filter(p => p.severity === 'error' && !p.repaired);
+  return {
+    target,
+    config_dir: configDir,
+    version: manifest ? manifest.version : null,
+    healthy: remaining.length === 0,
+    problems: problems.map(p => ({ ...p, repairable: Boolean(p.fix), fix: undefined })),
+  };
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  PATCHES_DIR_NAME,
+  CONFIG_NAME,
+  TARGETS,
+  getConfigDir,
+  resolveTarget,
+  readManifest,
+  readInstallConfig,
+  getInstallPlan,
+  install,
+  rollback,
+  uninstall,
+  doctor,
+};
@@ -0,0 +1,78 @@
+// Three-way merge of a locally edited file with a new upstream version
+
+const { splitLines, matchLines } = require('./diff');
+
+function sameLines(x, y) {
+  return x.length === y.length && x.every((line, i) => line === y[i]);
+}
+
+/**
+ * Append a chunk, making sure a following conflict marker starts on its own line
+ */
+function pushChunk(out, lines) {
+  for (const line of lines) out.push(line);
+  const last = out[out.length - 1];
+  if (last !== undefined && !last.endsWith('\n')) out[out.length - 1] = last + '\n';
+}
+
+/**
+ * Merge `ours` and `theirs`, both derived from `base`.
+ * Hunks changed on only one side are taken as-is; hunks changed differently
+ * on both sides are written with git-style conflict markers.
+ * Returns { content, conflicts } where conflicts is the number of conflicting hunks.
+ */
+function merge3(base, ours, theirs, labels = {}) {
+  const oursLabel = labels.ours || 'local';
+  const theirsLabel = labels.theirs || 'upstream';
+
+  const o = splitLines(base);
+  const a = splitLines(ours);
+  const b = splitLines(theirs);
+
+  // base line index -> matching line index in ours / theirs
+  const toA = new Map(matchLines(o, a));
+  const toB = new Map(matchLines(o, b));
+
+  const out = [];
+  let conflicts = 0;
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+
+  for (;;) {
+    // Next base line that survived unchanged on both sides
+    let k = io;
+    while (k < o.length && !(toA.has(k) && toB.has(k))) k++;
+    const ka = k < o.length ? toA.get(k) : a.length;
+    const kb = k < o.length ? toB.get(k) : b.length;
+
+    const baseChunk = o.slice(io, k);
+    const oursChunk = a.slice(ia, ka);
+    const theirsChunk = b.slice(ib, kb);
+
+    if (baseChunk.length || oursChunk.length || theirsChunk.length) {
+      if (sameLines(oursChunk, baseChunk)) {
+        out.push(...theirsChunk);
+      } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+        out.push(...oursChunk);
+      } else {
+        conflicts++;
+        pushChunk(out, [`<<<<<<< ${oursLabel}\n`]);
+        pushChunk(out, oursChunk);
+        pushChunk(out, ['=======\n']);
+        pushChunk(out, theirsChunk);
+        out.push(`>>>>>>> ${theirsLabel}\n`);
+      }
+    }
+
+    if (k >= o.length) break;
+    out.push(o[k]);
+    io = k + 1;
+    ia = ka + 1;
+    ib = kb + 1;
+  }
+
+  return { content: out.join(''), conflicts };
+}
+
+module.exports = { merge3 };
@@ -0,0 +1,163 @@
+// Organisation blueprint overlays, composed with the shipped blueprint at install time
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Optional overlay metadata — falls back to package.json, then the directory name
+const OVERLAY_META = 'infra-audit-overlay.json';
+
+const ACTIONS = ['replace', 'extend', 'remove'];
+const DIRECTIVE = /^<!--\s*overlay:\s*(\w+)\s*-->\s*$/;
+const SEPARATOR = '\n\n---\n\n';
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve an overlay source: a directory path, or the name of an npm
+ * package installed where the installer runs. Returns the absolute
+ * directory and the source to record (absolute path or package name).
+ */
+function resolveOverlaySource(source, baseDir) {
+  const expanded = source.replace(/^~(?=$|\/)/, os.homedir());
+  const dir = path.resolve(baseDir, expanded);
+  if (/^[./~]/.test(source) || fs.existsSync(dir)) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`Overlay directory not found: ${source}`);
+    }
+    return { source: dir, dir };
+  }
+  try {
+    const pkgJson = require.resolve(`${source}/package.json`, { paths: [baseDir] });
+    return { source, dir: path.dirname(pkgJson) };
+  } catch {
+    throw new Error(`Overlay not found: ${source} is neither a directory nor an installed package`);
+  }
+}
+
+/**
+ * Load an overlay: { source, dir, name, version, blueprint, templates }.
+ * `blueprint` is the overlay's blueprint.md (or null) and `templates` maps
+ * file names in its blueprints/ directory to their content.
+ */
+function loadOverlay(source, baseDir = process.cwd()) {
+  const { source: recorded, dir } = resolveOverlaySource(source, baseDir);
+  const meta = readJson(path.join(dir, OVERLAY_META)) || readJson(path.join(dir, 'package.json')) || {};
+
+  const blueprintPath = path.join(dir, 'blueprint.md');
+  const templatesDir = path.join(dir, 'blueprints');
+  const templates = {};
+  if (fs.existsSync(templatesDir)) {
+    for (const name of fs.readdirSync(templatesDir).sort()) {
+      const file = path.join(templatesDir, name);
+      if (fs.statSync(file).isFile()) templates[name] = fs.readFileSync(file, 'utf8');
+    }
+  }
+  const blueprint = fs.existsSync(blueprintPath) ? fs.readFileSync(blueprintPath, 'utf8') : null;
+  if (blueprint === null && Object.keys(templates).length === 0) {
+    throw new Error(`Overlay ${source} has no blueprint.md or blueprints/ directory`);
+  }
+
+  return {
+    source: recorded,
+    dir,
+    name: meta.name || path.basename(dir),
+    version: meta.version || null,
+    blueprint,
+    templates,
+  };
+}
+
+/**
+ * "acme-standards@2.1.0", or just the name when unversioned
+ */
+function describeOverlay(overlay) {
+  return overlay.version ? `${overlay.name}@${overlay.version}` : overlay.name;
+}
+
+// ──────────────────────────────────────────────────────
+// Blueprint Composition
+// ──────────────────────────────────────────────────────
+
+/**
+ * Split markdown into the preamble and its `## ` sections. Section text
+ * excludes the `---` separators between sections.
+ */
+function splitSections(markdown) {
+  const parts = markdown.replace(/\r\n/g, '\n').split(/^(?=## )/m);
+  const preamble = parts[0].startsWith('## ') ? '' : parts.shift();
+  const sections = parts.map(text => {
+    const body = text.replace(/(\s*\n---\s*)+$/, '').trimEnd();
+    const heading = body.split('\n')[0];
+    // Titles ignore numbering, which an overlay can't rely on across releases
+    const title = heading.replace(/^##\s+(\d+[a-z]?\.\s+)?/, '').trim().toLowerCase();
+    return { heading, title, text: body };
+  });
+  return { preamble, sections };
+}
+
+/**
+ * Pull the `<!-- overlay: replace|extend|remove -->` directive off the line
+ * after an overlay section's heading (default: replace)
+ */
+function readDirective(section) {
+  const lines = section.text.split('\n');
+  const index = lines.findIndex((line, i) => i > 0 && line.trim() !== '');
+  const match = index === -1 ? null : DIRECTIVE.exec(lines[index].trim());
+  if (!match) return { action: 'replace', lines };
+  if (!ACTIONS.includes(match[1])) {
+    throw new Error(`Unknown overlay directive "${match[1]}" in "${section.heading}" (use ${ACTIONS.join(', ')})`);
+  }
+  lines.splice(index, 1);
+  return { action: match[1], lines };
+}
+
+/**
+ * Compose the upstream blueprint with an overlay blueprint. Overlay
+ * sections match upstream ones by title, ignoring numbering. A matched
+ * section is replaced, extended (overlay content appended) or removed;
+ * unmatched sections are added at the end.
+ * Returns { content, changes: [{ section, action }] }.
+ */
+function composeBlueprint(upstream, overlayMarkdown, label) {
+  const base = splitSections(upstream);
+  const overlay = splitSections(overlayMarkdown);
+  const sections = base.sections.map(s => ({ ...s }));
+  const changes = [];
+  const marker = `<!-- overlay: ${label} -->`;
+
+  for (const section of overlay.sections) {
+    const { action, lines } = readDirective(section);
+    const target = sections.find(s => s.title === section.title);
+
+    if (!target) {
+      if (action === 'remove') throw new Error(`Overlay removes "${section.heading}", which is not in the blueprint`);
+      sections.push({ ...section, text: [lines[0], marker, ...lines.slice(1)].join('\n').trimEnd() });
+      changes.push({ section: section.heading.replace(/^##\s+/, ''), action: 'add' });
+      continue;
+    }
+
+    if (action === 'remove') {
+      sections.splice(sections.indexOf(target), 1);
+    } else if (action === 'extend') {
+      target.text = `${target.text}\n\n${marker}\n${lines.slice(1).join('\n').trim()}`;
+    } else {
+      // Keep the upstream heading (and its numbering) so references stay valid
+      target.text = [target.heading, marker, ...lines.slice(1)].join('\n').trimEnd();
+    }
+    changes.push({ section: target.heading.replace(/^##\s+/, ''), action });
+  }
+
+  return {
+    content: base.preamble + sections.map(s => s.text).join(SEPARATOR) + '\n',
+    changes,
+  };
+}
+
+module.exports = { OVERLAY_META, loadOverlay, describeOverlay, composeBlueprint };
@@ -0,0 +1,272 @@
+// Convert a project's audit history into CI-friendly report formats
+
+const crypto = require('crypto');
+
+// Score impact per finding — same rules as /infra:audit
+const { SCORE_IMPACT } = require('../infra/scripts/project-config');
+
+const SARIF_LEVELS = { CRITICAL: 'error', WARNING: 'warning', INFO: 'note' };
+
+const SEVERITY_ICONS = { CRITICAL: '🔴', WARNING: '🟡', INFO: '🔵' };
+
+// Findings without a file are reported against the project manifest
+const DEFAULT_LOCATION = 'pyproject.toml';
+
+/**
+ * Normalize a history finding (object or plain string) to
+ * { severity, area, description, current, expected, fix, file, impact }
+ */
+function normalizeFinding(finding) {
+  const f = typeof finding === 'string' ? { description: finding } : finding;
+  const severity = String(f.severity || 'INFO').toUpperCase();
+  return {
+    severity: severity in SCORE_IMPACT ? severity : 'INFO',
+    area: f.area || 'general',
+    description: f.description || f.message || f.title || '',
+    current: f.current || null,
+    expected: f.expected || null,
+    fix: f.fix || null,
+    file: f.file || null,
+    impact: SCORE_IMPACT[severity] || 0,
+  };
+}
+
+/**
+ * Identity of a finding across runs and projects: area plus description,
+ * ignoring case and surrounding whitespace
+ */
+function findingKey(finding) {
+  return `${finding.area}\n${finding.description.trim().toLowerCase()}`;
+}
+
+/**
+ * Findings ordered by severity, then area
+ */
+function getFindings(history) {
+  const order = Object.keys(SCORE_IMPACT);
+  return (history.findings || [])
+    .map(normalizeFinding)
+    .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || a.area.localeCompare(b.area));
+}
+
+/**
+ * Every audited area — recorded `areas` plus any area with findings
+ */
+function getAreas(history, findings) {
+  const areas = new Set(history.areas || []);
+  for (const f of findings) areas.add(f.area);
+  return [...areas].sort();
+}
+
+function formatImpact(impact) {
+  return impact === 0 ? '0' : String(impact);
+}
+
+function formatScore(score) {
+  return typeof score === 'number' ? score.toFixed(1) : '—';
+}
+
+// ──────────────────────────────────────────────────────
+// SARIF 2.1.0
+// ──────────────────────────────────────────────────────
+
+function toSarif(history, tool) {
+  const findings = getFindings(history);
+  const areas = getAreas(history, findings);
+
+  const rules = areas.map(area => ({
+    id: `infra-audit/${area}`,
+    name: area,
+    shortDescription: { text: `${area} infrastructure checks` },
+    helpUri: tool.homepage,
+  }));
+
+  const results = findings.map(f => {
+    const lines = [f.description];
+    if (f.current) lines.push(`Current: ${f.current}`);
+    if (f.expected) lines.push(`Expected: ${f.expected}`);
+    if (f.fix) lines.push(`Fix: ${f.fix}`);
+    return {
+      ruleId: `infra-audit/${f.area}`,
+      ruleIndex: areas.indexOf(f.area),
+      level: SARIF_LEVELS[f.severity],
+      message: { text: lines.join('\n') },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: f.file || DEFAULT_LOCATION },
+          region: { startLine: 1 },
+        },
+      }],
+      partialFingerprints: {
+        'infraAuditFinding/v1': crypto.createHash('sha256').update(`${f.area}\n${f.description}`).digest('hex'),
+      },
+      properties: { severity: f.severity, area: f.area, scoreImpact: f.impact },
+    };
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: tool.name,
+          version: tool.version,
+          informationUri: tool.homepage,
+          rules,
+        },
+      },
+      automationDetails: { id: `infra-audit/${history.project}/` },
+      results,
+      properties: {
+        project: history.project,
+        lastAudit: history.last_audit,
+        score: history.score,
+        maxScore: 10,
+        critical: history.critical,
+        warnings: history.warnings,
+        info: history.info,
+      },
+    }],
+  }, null, 2) + '\n';
+}
+
+// ──────────────────────────────────────────────────────
+// JUnit XML
+// ──────────────────────────────────────────────────────
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * One testcase per audited area — CRITICAL and WARNING findings fail it,
+ * INFO findings go to system-out
+ */
+function toJunit(history) {
+  const findings = getFindings(history);
+  const areas = getAreas(history, findings);
+  const suite = `infra:audit ${history.project}`;
+
+  const cases = areas.map(area => {
+    const own = findings.filter(f => f.area === area);
+    const failing = own.filter(f => f.severity !== 'INFO');
+    const notes = own.filter(f => f.severity === 'INFO');
+    const open = `    <testcase classname="${escapeXml(suite)}" name="${escapeXml(area)}"`;
+    if (own.length === 0) return `${open}/>`;
+
+    const lines = [`${open}>`];
+    if (failing.length) {
+      const impact = failing.reduce((sum, f) => sum + f.impact, 0);
+      const body = failing
+        .map(f => `[${f.severity}] ${f.description} (${formatImpact(f.impact)})${f.fix ? `\nFix: ${f.fix}` : ''}`)
+        .join('\n');
+      const type = failing.some(f => f.severity === 'CRITICAL') ? 'CRITICAL' : 'WARNING';
+      lines.push(`      <failure type="${type}" message="${escapeXml(`${failing.length} finding(s), score impact ${formatImpact(impact)}`)}">${escapeXml(body)}</failure>`);
+    }
+    if (notes.length) {
+      lines.push(`      <system-out>${escapeXml(notes.map(f => `[INFO] ${f.description}`).join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+    return lines.join('\n');
+  });
+
+  const failures = areas.filter(area => findings.some(f => f.area === area && f.severity !== 'INFO')).length;
+  const properties = [
+    ['score', formatScore(history.score)],
+    ['max_score', '10.0'],
+    ['critical', history.critical],
+    ['warnings', history.warnings],
+    ['info', history.info],
+    ['last_audit', history.last_audit],
+  ].map(([name, value]) => `      <property name="${name}" value="${escapeXml(value)}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="infra:audit" tests="${areas.length}" failures="${failures}">`,
+    `  <testsuite name="${escapeXml(suite)}" tests="${areas.length}" failures="${failures}" errors="0" skipped="0" timestamp="${escapeXml(history.last_audit)}">`,
+    '    <properties>',
+    ...properties,
+    '    </properties>',
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+// ──────────────────────────────────────────────────────
+// Markdown
+// ──────────────────────────────────────────────────────
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * PR-comment friendly summary: score, findings table and fixes
+ */
+function toMarkdown(history) {
+  const findings = getFindings(history);
+  const runs = history.runs || [];
+  const lines = [`## infra:audit — ${history.project}`, ''];
+
+  let trend = '';
+  if (runs.length >= 2 && typeof runs[runs.length - 2].score === 'number') {
+    const delta = Math.round((history.score - runs[runs.length - 2].score) * 10) / 10;
+    trend = ` (${delta > 0 ? '+' : ''}${delta.toFixed(1)} since previous run)`;
+  }
+  lines.push(`**Score: ${formatScore(history.score)} / 10.0**${trend}`);
+  lines.push('');
+  lines.push(`${history.critical} critical · ${history.warnings} warnings · ${history.info} info — last audit ${history.last_audit}${history.last_fix ? `, last fix ${history.last_fix}` : ''}`);
+  lines.push('');
+
+  if (findings.length === 0) {
+    lines.push('No findings — this project\'s infrastructure is in excellent shape. ✅', '');
+    return lines.join('\n');
+  }
+
+  lines.push('| Severity | Area | Finding | Score impact |');
+  lines.push('|----------|------|---------|--------------|');
+  for (const f of findings) {
+    lines.push(`| ${SEVERITY_ICONS[f.severity]} ${f.severity} | ${escapeCell(f.area)} | ${escapeCell(f.description)} | ${formatImpact(f.impact)} |`);
+  }
+  lines.push('');
+
+  const fixes = findings.filter(f => f.fix);
+  if (fixes.length) {
+    lines.push('<details>', '<summary>How to fix</summary>', '');
+    for (const f of fixes) {
+      lines.push(`- **${f.area}**: ${f.description} — ${f.fix}`);
+    }
+    lines.push('', '</details>', '');
+  }
+
+  lines.push('_Scoring: -2 per critical, -0.5 per warning, info findings don\'t affect the score._', '');
+  return lines.join('\n');
+}
+
+const FORMATS = {
+  sarif: toSarif,
+  junit: toJunit,
+  markdown: toMarkdown,
+};
+
+/**
+ * Render a history object in one of FORMATS
+ */
+function renderReport(format, history, tool) {
+  return FORMATS[format](history, tool);
+}
+
+module.exports = {
+  SCORE_IMPACT,
+  REPORT_FORMATS: Object.keys(FORMATS),
+  normalizeFinding,
+  findingKey,
+  renderReport,
+};
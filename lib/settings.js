@@ -0,0 +1,298 @@
+// settings.json access and the hooks we register in it.
+// settings.json belongs to the user: we refuse to edit a file we can't parse,
+// keep its keys, order and indentation, and back it up before every change.
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_DIR_NAME = 'infra-audit-settings-backups';
+const MAX_BACKUPS = 10;
+
+// ──────────────────────────────────────────────────────
+// Reading and Writing
+// ──────────────────────────────────────────────────────
+
+/**
+ * Whether JSON text has // or /* comments outside of strings (JSONC)
+ */
+function hasComments(text) {
+  return /\/\/|\/\*/.test(text.replace(/"(?:[^"\\]|\\.)*"/g, '""'));
+}
+
+/**
+ * Read and parse settings.json. Returns { settings, text } — text is ''
+ * when the file doesn't exist. Throws when the file can't be parsed, so it
+ * is never overwritten with a partial copy.
+ */
+function readSettings(settingsPath) {
+  if (!fs.existsSync(settingsPath)) return { settings: {}, text: '' };
+
+  const text = fs.readFileSync(settingsPath, 'utf8');
+  if (text.trim() === '') return { settings: {}, text };
+  if (hasComments(text)) {
+    throw new Error(`${settingsPath} contains comments (JSONC) — remove them, or add the hook by hand; nothing was changed`);
+  }
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${settingsPath} is not valid JSON (${e.message}) — fix it and re-run; nothing was changed`);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${settingsPath} must contain a JSON object — fix it and re-run; nothing was changed`);
+  }
+  return { settings, text };
+}
+
+/**
+ * Serialize settings in the indentation and trailing newline of the text
+ * they were read from (2 spaces and a newline for a new file). Key order is
+ * kept as parsed.
+ */
+function formatSettings(settings, text = '') {
+  const indent = (text.match(/^([ \t]+)"/m) || [null, '  '])[1];
+  const newline = text === '' || text.endsWith('\n') ? '\n' : '';
+  return JSON.stringify(settings, null, indent) + newline;
+}
+
+/**
+ * Copy settings.json to infra-audit-settings-backups/ next to it, keeping
+ * the newest backups. Returns the backup path, or null if there was no file.
+ */
+function backupSettings(settingsPath) {
+  if (!fs.existsSync(settingsPath)) return null;
+
+  const backupDir = path.join(path.dirname(settingsPath), BACKUP_DIR_NAME);
+  fs.mkdirSync(backupDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  let backupPath = path.join(backupDir, `settings-${stamp}.json`);
+  for (let n = 2; fs.existsSync(backupPath); n++) {
+    backupPath = path.join(backupDir, `settings-${stamp}-${n}.json`);
+  }
+  fs.copyFileSync(settingsPath, backupPath);
+
+  // Oldest first: by timestamp, then by the -<n> added for backups within the same millisecond
+  const order = name => {
+    const [, stamp, n] = name.match(/^settings-(.+?)(?:-(\d+))?\.json$/);
+    return [stamp, Number(n || 1)];
+  };
+  const backups = fs.readdirSync(backupDir)
+    .filter(name => /^settings-.+\.json$/.test(name))
+    .map(name => [name, ...order(name)])
+    .sort((a, b) => (a[1] === b[1] ? a[2] - b[2] : a[1] < b[1] ? -1 : 1))
+    .map(([name]) => name);
+  for (const name of backups.slice(0, -MAX_BACKUPS)) {
+    fs.unlinkSync(path.join(backupDir, name));
+  }
+  return backupPath;
+}
+
+/**
+ * Write settings to settingsPath in the formatting of `text` (the content
+ * they were read from), backing up the current file first. Returns the
+ * backup path, or null if nothing was backed up. Unchanged content is not
+ * rewritten.
+ */
+function writeSettings(settingsPath, settings, text = '') {
+  const content = formatSettings(settings, text);
+  if (fs.existsSync(settingsPath) && fs.readFileSync(settingsPath, 'utf8') === content) return null;
+  const backup = backupSettings(settingsPath);
+  fs.writeFileSync(settingsPath, content);
+  return backup;
+}
+
+// ──────────────────────────────────────────────────────
+// Our Hooks
+// ──────────────────────────────────────────────────────
+
+// Every hook we can register, by name. The update check is always
+// registered; the others are opted into at install time (--hooks).
+const HOOKS = {
+  'update-check': {
+    event: 'SessionStart',
+    file: 'infra-check-update.js',
+    optional: false,
+    description: 'Notify when a newer infra:audit release is available',
+  },
+  'stale-audit': {
+    event: 'SessionStart',
+    file: 'infra-audit-stale.js',
+    optional: true,
+    description: 'Warn when the last audit is old or infra files changed since',
+  },
+  'score-banner': {
+    event: 'SessionStart',
+    file: 'infra-audit-score.js',
+    optional: true,
+    description: "Show the project's audit score, warning below the target",
+  },
+  'infra-edits': {
+    event: 'SessionEnd',
+    file: 'infra-audit-edits.js',
+    optional: true,
+    description: 'Mark the audit stale when a session edited infra files',
+  },
+};
+const OPTIONAL_HOOKS = Object.keys(HOOKS).filter(name => HOOKS[name].optional);
+
+// Appended to each hook command as --infra-audit-hook=<name>, so we only
+// ever match (and remove) our own entries — node passes it to the hook as
+// an ignored argument
+const HOOK_MARKER = '--infra-audit-hook';
+
+// Update check commands written before the marker existed: exactly node + our hook file
+const LEGACY_HOOK = /^node\s+"?(?:[^"]*[\\/])?hooks[\\/]infra-check-update\.js"?$/;
+
+/**
+ * The command that runs one of our hooks for a given install. Local
+ * installs use a path relative to the project root, where Claude Code runs
+ * project hooks — absolute if the config directory is outside the project.
+ */
+function getHookCommand(isGlobal, configDir, name = 'update-check', projectDir) {
+  const file = path.join(configDir, 'hooks', HOOKS[name].file);
+  const relative = isGlobal ? null : path.relative(projectDir || path.dirname(configDir), file);
+  const script = relative === null || relative.startsWith('..') || path.isAbsolute(relative)
+    ? `"${file.replace(/\\/g, '/')}"`
+    : relative.split(path.sep).join('/');
+  return `node ${script} ${HOOK_MARKER}=${name}`;
+}
+
+/**
+ * The script path a hook command runs (quotes and our marker removed)
+ */
+function getHookScript(command) {
+  return command
+    .replace(/^node\s+/, '')
+    .split(/\s+/).filter(part => !part.startsWith(HOOK_MARKER)).join(' ')
+    .replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Which of our hooks a settings.json hook entry is — from its marker, or the
+ * exact command older versions registered for the update check — else null
+ */
+function getHookName(hook) {
+  if (!hook || typeof hook.command !== 'string') return null;
+  const marker = hook.command.split(/\s+/).find(part => part.startsWith(`${HOOK_MARKER}=`));
+  if (marker) return marker.slice(HOOK_MARKER.length + 1);
+  return LEGACY_HOOK.test(hook.command.trim()) ? 'update-check' : null;
+}
+
+/**
+ * Whether a settings.json hook entry is one of ours
+ */
+function isOurHook(hook) {
+  return getHookName(hook) !== null;
+}
+
+/**
+ * Every hook of ours registered in settings: [{ name, event, command }]
+ */
+function findOurHooks(settings) {
+  const found = [];
+  for (const [event, entries] of Object.entries((settings && settings.hooks) || {})) {
+    if (!Array.isArray(entries)) continue;
+    for (const entry of entries) {
+      for (const hook of (entry && Array.isArray(entry.hooks) ? entry.hooks : [])) {
+        const name = getHookName(hook);
+        if (name) found.push({ name, event, command: hook.command });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Entries of one event without the hooks of ours that `keep` rejects —
+ * other hooks sharing an entry with them stay, entries left empty are dropped
+ */
+function withoutOurHooks(entries, keep = () => false) {
+  return entries.filter(entry => {
+    if (!entry || !Array.isArray(entry.hooks)) return true;
+    const before = entry.hooks.length;
+    entry.hooks = entry.hooks.filter(hook => !isOurHook(hook) || keep(hook));
+    return entry.hooks.length > 0 || entry.hooks.length === before;
+  });
+}
+
+/**
+ * Drop events (and the hooks object) that are left with no entries
+ */
+function cleanUpHooks(settings, events) {
+  for (const event of events) {
+    if (Array.isArray(settings.hooks[event]) && settings.hooks[event].length === 0) {
+      delete settings.hooks[event];
+    }
+  }
+  if (Object.keys(settings.hooks).length === 0) {
+    delete settings.hooks;
+  }
+}
+
+/**
+ * Make our registered hooks exactly `wanted` ([{ name, event, command }]):
+ * entries already registered with the same command stay where they are,
+ * others of ours are removed (older versions, moved installs, hooks no
+ * longer selected) and missing ones are appended.
+ * Returns { added, removed } hook names; both empty if nothing changed.
+ */
+function setOurHooks(settings, wanted) {
+  const current = findOurHooks(settings);
+  const isWanted = hook => current.filter(h => h.command === hook.command).length === 1 &&
+    wanted.some(w => w.command === hook.command && w.event === hook.event);
+  const kept = current.filter(isWanted);
+  const removed = current.filter(h => !isWanted(h)).map(h => h.name);
+  const missing = wanted.filter(w => !kept.some(h => h.command === w.command && h.event === w.event));
+  if (removed.length === 0 && missing.length === 0) return { added: [], removed: [] };
+
+  // Ensure hooks structure exists
+  if (!settings.hooks) {
+    settings.hooks = {};
+  }
+  const events = current.map(h => h.event);
+  for (const event of new Set(events)) {
+    settings.hooks[event] = withoutOurHooks(settings.hooks[event], hook =>
+      kept.some(h => h.event === event && h.command === hook.command));
+  }
+  for (const { event, command } of missing) {
+    if (!Array.isArray(settings.hooks[event])) {
+      settings.hooks[event] = [];
+    }
+    settings.hooks[event].push({
+      hooks: [
+        {
+          type: 'command',
+          command,
+        }
+      ]
+    });
+  }
+  cleanUpHooks(settings, events);
+  return { added: missing.map(w => w.name), removed };
+}
+
+/**
+ * Remove all of our hooks and clean up the structures that leaves empty.
+ * Returns the names of the hooks removed.
+ */
+function removeOurHooks(settings) {
+  return setOurHooks(settings, []).removed;
+}
+
+module.exports = {
+  HOOKS,
+  OPTIONAL_HOOKS,
+  HOOK_MARKER,
+  BACKUP_DIR_NAME,
+  readSettings,
+  formatSettings,
+  backupSettings,
+  writeSettings,
+  getHookCommand,
+  getHookScript,
+  getHookName,
+  isOurHook,
+  findOurHooks,
+  setOurHooks,
+  removeOurHooks,
+};
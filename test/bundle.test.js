@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bundle = require('../lib/bundle');
+const pkg = require('../package.json');
+const { tempDir } = require('./helpers');
+
+const root = tempDir(test);
+
+/**
+ * Write a PEM key pair to the temp directory
+ */
+function writeKeys(name, type, options) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  const files = { signKey: path.join(root, `${name}.pem`), verifyKey: path.join(root, `${name}.pub.pem`) };
+  fs.writeFileSync(files.signKey, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  fs.writeFileSync(files.verifyKey, publicKey.export({ type: 'spki', format: 'pem' }));
+  return files;
+}
+
+const keys = writeKeys('release', 'ed25519');
+const otherKeys = writeKeys('other', 'ed25519');
+const signed = bundle.exportBundle({ output: path.join(root, 'signed.tgz'), signKey: keys.signKey });
+
+/**
+ * A copy of the signed bundle with its tar entries changed by `edit`
+ */
+function rewrite(name, edit) {
+  const entries = bundle.readTar(fs.readFileSync(signed.file));
+  const file = path.join(root, name);
+  fs.writeFileSync(file, bundle.createTar(edit(entries), 0));
+  return file;
+}
+
+test('createTar and readTar round-trip names that need the ustar prefix field', () => {
+  const names = [
+    'package/short.txt',
+    `package/${'d'.repeat(120)}/${'f'.repeat(90)}.js`,
+    `package/a/${'f'.repeat(99)}`,
+    'package/ünïcode/file.md',
+  ];
+  const entries = names.map((name, i) => ({ name, content: Buffer.from(`file ${i}\n`.repeat(i * 100)), mode: i ? 0o755 : 0o644 }));
+  assert.deepEqual(bundle.readTar(bundle.createTar(entries, 1700000000)), entries);
+});
+
+test('createTar refuses names that cannot fit the ustar name and prefix fields', () => {
+  const entry = name => [{ name, content: Buffer.alloc(0), mode: 0o644 }];
+  assert.throws(() => bundle.createTar(entry(`package/${'x'.repeat(101)}`), 0), /path too long/);
+  assert.throws(() => bundle.createTar(entry(`${'d'.repeat(156)}/file`), 0), /path too long/);
+});
+
+test('exportBundle requires a signing key unless allowUnsigned', () => {
+  assert.throws(() => bundle.exportBundle({ output: path.join(root, 'never.tgz') }), /must be signed/);
+  assert.ok(!fs.existsSync(path.join(root, 'never.tgz')));
+  const unsigned = bundle.exportBundle({ output: path.join(root, 'unsigned.tgz'), allowUnsigned: true });
+  assert.equal(unsigned.signed, false);
+});
+
+test('a signed bundle verifies and carries the package and its manifest', () => {
+  assert.equal(path.basename(bundle.getBundleName()), `${pkg.name}-${pkg.version}.tgz`);
+  assert.equal(signed.signed, true);
+  const read = bundle.readBundle(signed.file, { verifyKey: keys.verifyKey });
+  assert.equal(read.verified, true);
+  assert.equal(read.manifest.version, pkg.version);
+  assert.ok(read.files.some(f => f.rel === 'bin/install.js' && f.mode & 0o111));
+  assert.equal(read.files.length, signed.files);
+});
+
+test('RSA keys sign and verify too', () => {
+  const rsa = writeKeys('rsa', 'rsa', { modulusLength: 2048 });
+  const file = bundle.exportBundle({ output: path.join(root, 'rsa.tgz'), signKey: rsa.signKey }).file;
+  assert.equal(bundle.readBundle(file, { verifyKey: rsa.verifyKey }).verified, true);
+});
+
+test('readBundle refuses to skip the signature check unless allowUnsigned', () => {
+  assert.throws(() => bundle.readBundle(signed.file), /no key to check its signature/);
+  const read = bundle.readBundle(signed.file, { allowUnsigned: true });
+  assert.deepEqual([read.signed, read.verified], [true, false]);
+});
+
+test('readBundle detects tampering', () => {
+  const cases = {
+    'a changed file': entries => entries.map(e => (e.name === 'package/lib/installer.js' ? { ...e, content: Buffer.concat([e.content, Buffer.from('\n// x\n')]) } : e)),
+    'an added file': entries => [...entries, { name: 'package/hooks/extra.js', content: Buffer.from('x'), mode: 0o644 }],
+    'a removed file': entries => entries.filter(e => e.name !== 'package/lib/merge.js'),
+    'an unsafe path': entries => [...entries, { name: 'package/../evil.js', content: Buffer.from('x'), mode: 0o644 }],
+    'a rewritten manifest': entries => entries.map(e => (e.name === `package/${bundle.BUNDLE_MANIFEST_NAME}` ? { ...e, content: Buffer.from(e.content.toString().replace(pkg.version, '9.9.9')) } : e)),
+  };
+  const expected = [/checksum mismatch for lib\/installer\.js/, /hooks\/extra\.js is not listed/, /lib\/merge\.js is listed in the manifest but missing/, /unexpected path/, /signature does not match|package\.json does not match/];
+  Object.entries(cases).forEach(([name, edit], i) => {
+    const file = rewrite(`tampered-${i}.tgz`, edit);
+    assert.throws(() => bundle.readBundle(file, { verifyKey: keys.verifyKey }), expected[i], name);
+  });
+});
+
+test('readBundle detects a re-signed manifest, a wrong key and a missing signature', () => {
+  // Consistent checksums for a changed file only pass without a signature check
+  const forged = rewrite('forged.tgz', entries => {
+    const content = Buffer.from('// forged\n');
+    const manifestEntry = entries.find(e => e.name === `package/${bundle.BUNDLE_MANIFEST_NAME}`);
+    const manifest = JSON.parse(manifestEntry.content);
+    manifest.files['lib/merge.js'] = { sha256: crypto.createHash('sha256').update(content).digest('hex'), size: content.length, mode: 0o644 };
+    return entries.map(e => {
+      if (e.name === 'package/lib/merge.js') return { ...e, content };
+      if (e === manifestEntry) return { ...e, content: Buffer.from(JSON.stringify(manifest, null, 2) + '\n') };
+      return e;
+    });
+  });
+  assert.equal(bundle.readBundle(forged, { allowUnsigned: true }).verified, false);
+  assert.throws(() => bundle.readBundle(forged, { verifyKey: keys.verifyKey }), /signature does not match/);
+  assert.throws(() => bundle.readBundle(signed.file, { verifyKey: otherKeys.verifyKey }), /signature does not match other\.pub\.pem/);
+  const unsigned = rewrite('stripped.tgz', entries => entries.filter(e => !e.name.endsWith('.sig')));
+  assert.throws(() => bundle.readBundle(unsigned, { verifyKey: keys.verifyKey }), /not signed/);
+});
+
+test('installFromBundle installs a verified bundle and refuses one that fails before running it', () => {
+  const configDir = path.join(root, 'install');
+  const result = bundle.installFromBundle(signed.file, { configDir, verifyKey: keys.verifyKey });
+  assert.deepEqual([result.bundle.version, result.bundle.verified], [pkg.version, true]);
+  assert.equal(fs.readFileSync(path.join(configDir, 'infra', 'VERSION'), 'utf8'), pkg.version);
+
+  const target = path.join(root, 'refused');
+  assert.throws(() => bundle.installFromBundle(signed.file, { configDir: target }), /no key to check its signature/);
+  assert.ok(!fs.existsSync(target));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreFindings, toRun, diffFindings, evaluateGate } = require('../lib/gate');
+
+const finding = (severity, area, description) => ({ severity, area, description });
+
+test('scoreFindings applies /infra:audit scoring with a floor of 0', () => {
+  assert.equal(scoreFindings([]), 10);
+  assert.equal(toRun([finding('critical', 'ci', 'No CI'), finding('WARNING', 'ruff', 'No ruff'), finding('INFO', 'uv', 'Old uv')]).score, 7.5);
+  assert.equal(toRun(Array.from({ length: 6 }, (_, i) => finding('CRITICAL', 'ci', `c${i}`))).score, 0);
+});
+
+test('toRun reads a findings array, a history run or a whole history', () => {
+  const fromFindings = toRun([finding('CRITICAL', 'ci', 'No CI')]);
+  assert.deepEqual([fromFindings.critical, fromFindings.warnings, fromFindings.info], [1, 0, 0]);
+
+  const fromRun = toRun({ date: '2024-01-01', type: 'audit', score: 9, critical: 0, warnings: 2, info: 0 });
+  assert.equal(fromRun.score, 9);
+  assert.equal(fromRun.findings, null);
+
+  const fromHistory = toRun({ last_audit: '2024-01-02', score: 8, critical: 1, warnings: 0, info: 0, findings: ['Stray string finding'] });
+  assert.equal(fromHistory.date, '2024-01-02');
+  assert.equal(fromHistory.findings[0].severity, 'INFO');
+});
+
+test('diffFindings matches findings by area and description, ignoring case', () => {
+  const baseline = [finding('WARNING', 'ruff', 'No ruff config'), finding('INFO', 'uv', 'Old uv')];
+  const current = [finding('WARNING', 'ruff', '  no RUFF config '), finding('CRITICAL', 'ci', 'No CI')];
+  const { added, resolved } = diffFindings(baseline.map(f => toRun([f]).findings[0]), current.map(f => toRun([f]).findings[0]));
+  assert.deepEqual(added.map(f => f.area), ['ci']);
+  assert.deepEqual(resolved.map(f => f.area), ['uv']);
+});
+
+test('evaluateGate passes a first run above the threshold', () => {
+  const result = evaluateGate(toRun([finding('WARNING', 'ruff', 'No ruff')]), null, { minScore: 9 });
+  assert.equal(result.passed, true);
+  assert.equal(result.score_delta, null);
+});
+
+test('evaluateGate fails below the threshold, on a score drop and on new criticals', () => {
+  const baseline = toRun([finding('WARNING', 'ruff', 'No ruff')]);
+  const current = toRun([finding('WARNING', 'ruff', 'No ruff'), finding('CRITICAL', 'ci', 'No CI')]);
+  const result = evaluateGate(current, baseline, { minScore: 8 });
+  assert.equal(result.passed, false);
+  assert.equal(result.score_delta, -2);
+  assert.equal(result.failures.length, 3);
+  assert.match(result.failures[0], /below the threshold 8\.0/);
+  assert.match(result.failures[2], /1 new critical/);
+});
+
+test('evaluateGate falls back to critical counts when a run lacks findings', () => {
+  const baseline = { score: 8, critical: 1, warnings: 0, info: 0 };
+  const current = { score: 8, critical: 2, warnings: 0, info: 0 };
+  const result = evaluateGate(toRun(current), toRun(baseline));
+  assert.deepEqual(result.failures, ['Critical findings rose from 1 to 2']);
+  assert.equal(result.added, null);
+});
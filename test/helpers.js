@@ -0,0 +1,30 @@
+// Shared by the test files
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * A scratch directory, removed after `scope` — a test's context, or the
+ * node:test module for one shared by the whole file
+ */
+function tempDir(scope) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'infra-audit-test-'));
+  scope.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * A local install target in a scratch project: { projectDir, configDir,
+ * options } — options are the { target, projectDir } every operation takes
+ */
+function localTarget(scope) {
+  const projectDir = tempDir(scope);
+  return {
+    projectDir,
+    configDir: path.join(projectDir, '.claude'),
+    options: { target: 'local', projectDir },
+  };
+}
+
+module.exports = { tempDir, localTarget };
@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const history = require('../infra/scripts/history');
+const sync = require('../infra/scripts/history-sync');
+const { tempDir } = require('./helpers');
+
+const REMOTE = 'git@github.com:acme/api.git';
+const PROJECT_ID = 'github.com/acme/api';
+
+/**
+ * A machine with its own clone of the project (at its own path, so its own
+ * history file name) and history directory
+ */
+function machine(root, name) {
+  const projectDir = path.join(root, name, 'api');
+  const historyDir = path.join(root, name, 'history');
+  fs.mkdirSync(projectDir, { recursive: true });
+  const git = (...args) => execFileSync('git', args, { cwd: projectDir, stdio: 'ignore', timeout: 10000 });
+  git('init', '-q');
+  git('remote', 'add', 'origin', REMOTE);
+  const record = (date, score) => history.recordRun(projectDir, { date, type: 'audit', score, critical: 0, warnings: 0, info: 0 }, { historyDir, retention: 0 });
+  const read = () => history.findProjectHistory(projectDir, historyDir).history;
+  return { projectDir, historyDir, record, read };
+}
+
+const scores = h => h.runs.map(r => r.score);
+
+test('machines sharing a directory store end with the union of their runs, once each', async t => {
+  const root = tempDir(t);
+  const store = path.join(root, 'store');
+  const a = machine(root, 'a');
+  const b = machine(root, 'b');
+  a.record('2024-05-01', 7);
+  a.record('2024-05-03', 8);
+  b.record('2024-05-02', 9);
+
+  const first = await sync.syncHistory({ store, projectDir: a.projectDir, historyDir: a.historyDir, retention: 0 });
+  assert.deepEqual(first.results.map(r => [r.action, r.pushed, r.pulled]), [['synced', 2, 0]]);
+  const second = await sync.syncHistory({ store, projectDir: b.projectDir, historyDir: b.historyDir, retention: 0 });
+  assert.deepEqual(second.results.map(r => [r.action, r.pushed, r.pulled]), [['synced', 1, 2]]);
+  await sync.syncHistory({ store, projectDir: a.projectDir, historyDir: a.historyDir, retention: 0 });
+
+  for (const m of [a, b]) {
+    assert.deepEqual(scores(m.read()), [7, 9, 8]);
+    assert.equal(m.read().project_id, PROJECT_ID);
+  }
+  // Each machine keeps its own path; the latest run's summary wins
+  assert.equal(b.read().path, b.projectDir);
+  assert.equal(b.read().score, 8);
+
+  const shared = JSON.parse(fs.readFileSync(path.join(store, sync.getStoreName(PROJECT_ID)), 'utf8'));
+  assert.deepEqual(scores(shared), [7, 9, 8]);
+  assert.equal(shared.stale, undefined);
+
+  const again = await sync.syncHistory({ store, projectDir: b.projectDir, historyDir: b.historyDir, retention: 0 });
+  assert.deepEqual(again.results.map(r => [r.action, r.pushed, r.pulled]), [['current', 0, 0]]);
+});
+
+test('push and pull only go one way, and pull creates a history for a new machine', async t => {
+  const root = tempDir(t);
+  const store = path.join(root, 'store');
+  const a = machine(root, 'a');
+  const b = machine(root, 'b');
+  a.record('2024-05-01', 7);
+  b.record('2024-05-02', 9);
+
+  await sync.syncHistory({ mode: 'push', store, projectDir: a.projectDir, historyDir: a.historyDir });
+  const pulled = await sync.syncHistory({ mode: 'pull', store, projectDir: b.projectDir, historyDir: b.historyDir });
+  assert.deepEqual(pulled.results.map(r => [r.pushed, r.pulled]), [[0, 1]]);
+  const shared = JSON.parse(fs.readFileSync(path.join(store, sync.getStoreName(PROJECT_ID)), 'utf8'));
+  assert.deepEqual(scores(shared), [7]);
+
+  const c = machine(root, 'c');
+  const fresh = await sync.syncHistory({ mode: 'pull', store, projectDir: c.projectDir, historyDir: c.historyDir });
+  assert.equal(fresh.results[0].file, history.getHistoryFile('api', c.projectDir, c.historyDir));
+  assert.deepEqual(scores(c.read()), [7]);
+  assert.equal(c.read().path, c.projectDir);
+});
+
+test('sync applies retention to both sides', async t => {
+  const root = tempDir(t);
+  const store = path.join(root, 'store');
+  const a = machine(root, 'a');
+  const b = machine(root, 'b');
+  a.record('2024-05-01', 6);
+  a.record('2024-05-02', 7);
+  b.record('2024-05-03', 8);
+  await sync.syncHistory({ store, projectDir: a.projectDir, historyDir: a.historyDir, retention: 0 });
+  await sync.syncHistory({ store, projectDir: b.projectDir, historyDir: b.historyDir, retention: 2 });
+  assert.deepEqual(scores(b.read()), [7, 8]);
+  const shared = JSON.parse(fs.readFileSync(path.join(store, sync.getStoreName(PROJECT_ID)), 'utf8'));
+  assert.deepEqual(scores(shared), [7, 8]);
+});
+
+test('projects without a git remote are skipped and a corrupt store file is an error', async t => {
+  const root = tempDir(t);
+  const store = path.join(root, 'store');
+  const projectDir = path.join(root, 'plain');
+  const historyDir = path.join(root, 'history');
+  fs.mkdirSync(projectDir);
+  history.recordRun(projectDir, { type: 'audit', score: 9, critical: 0, warnings: 0, info: 0 }, { historyDir });
+  const skipped = await sync.syncHistory({ store, projectDir, historyDir });
+  assert.equal(skipped.results[0].action, 'skipped');
+
+  const a = machine(root, 'a');
+  a.record('2024-05-01', 7);
+  fs.mkdirSync(store, { recursive: true });
+  fs.writeFileSync(path.join(store, sync.getStoreName(PROJECT_ID)), '{"runs": "nope"}');
+  const failed = await sync.syncHistory({ store, projectDir: a.projectDir, historyDir: a.historyDir });
+  assert.equal(failed.results[0].action, 'error');
+  assert.match(failed.results[0].reason, /not a valid history file/);
+});
+
+test('settings come from historySync in the install config, and a missing store says where to set it', async t => {
+  const configDir = tempDir(t);
+  await assert.rejects(sync.syncHistory({ configDir, projectDir: configDir }), new RegExp(`historySync\\.store in ${configDir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+  fs.writeFileSync(path.join(configDir, 'infra-audit-config.json'), JSON.stringify({ historySync: { store: '/shared', auto: true } }));
+  assert.deepEqual(sync.getSyncSettings({ region: 'eu-west-1', store: undefined }, configDir), { store: '/shared', endpoint: null, region: 'eu-west-1', auto: true });
+  assert.throws(() => sync.openStore({ store: 'ftp://host/dir' }), /Unsupported history store/);
+});
+
+// ──────────────────────────────────────────────────────
+// S3 stand-in
+// ──────────────────────────────────────────────────────
+
+const CREDENTIALS = { AWS_ACCESS_KEY_ID: 'AKIDTEST', AWS_SECRET_ACCESS_KEY: 'secret/test+key' };
+
+/**
+ * Check a request's AWS Signature V4 the way S3 does, from the request alone
+ */
+function verifySigV4(req, body, secretKey) {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+    .exec(req.headers.authorization || '');
+  if (!match) return 'missing or malformed Authorization';
+  const [, , day, region, signedHeaders, signature] = match;
+  const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+  if (req.headers['x-amz-content-sha256'] !== payloadHash) return 'payload hash mismatch';
+  const amzDate = req.headers['x-amz-date'];
+  if (!amzDate || !amzDate.startsWith(day)) return 'date mismatch';
+
+  const names = signedHeaders.split(';');
+  if (!names.includes('host')) return 'host not signed';
+  const canonical = [req.method, req.url, '', ...names.map(n => `${n}:${String(req.headers[n]).trim()}`), '', signedHeaders, payloadHash].join('\n');
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonical).digest('hex')].join('\n');
+  let key = `AWS4${secretKey}`;
+  for (const part of [day, region, 's3', 'aws4_request']) key = crypto.createHmac('sha256', key).update(part).digest();
+  const expected = crypto.createHmac('sha256', key).update(toSign).digest('hex');
+  return expected === signature ? null : 'signature mismatch';
+}
+
+/**
+ * An in-memory S3 endpoint for GET and PUT of path-style object URLs
+ */
+async function s3StandIn(t) {
+  const objects = new Map();
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push(`${req.method} ${req.url}`);
+      const problem = verifySigV4(req, body, CREDENTIALS.AWS_SECRET_ACCESS_KEY);
+      if (problem) {
+        res.writeHead(403).end(`<Error><Code>SignatureDoesNotMatch</Code><Message>${problem}</Message></Error>`);
+      } else if (req.method === 'PUT') {
+        objects.set(req.url, body.toString('utf8'));
+        res.writeHead(200).end();
+      } else if (objects.has(req.url)) {
+        res.writeHead(200).end(objects.get(req.url));
+      } else {
+        res.writeHead(404).end('<Error><Code>NoSuchKey</Code></Error>');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { endpoint: `http://127.0.0.1:${server.address().port}`, objects, requests };
+}
+
+/**
+ * Set environment variables for one test
+ */
+function withEnv(t, vars) {
+  const saved = {};
+  for (const [key, value] of Object.entries(vars)) {
+    saved[key] = process.env[key];
+    process.env[key] = value;
+  }
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+}
+
+test('an S3 store syncs through SigV4-signed path-style requests', async t => {
+  const root = tempDir(t);
+  const s3 = await s3StandIn(t);
+  withEnv(t, CREDENTIALS);
+  const a = machine(root, 'a');
+  const b = machine(root, 'b');
+  a.record('2024-05-01', 7);
+  b.record('2024-05-02', 9);
+
+  const options = { store: 's3://team-bucket/infra/history/', endpoint: s3.endpoint, region: 'eu-central-1' };
+  const first = await sync.syncHistory({ ...options, projectDir: a.projectDir, historyDir: a.historyDir });
+  assert.match(first.store, /^s3:\/\/team-bucket\/infra\/history\/ \(http:\/\/127\.0\.0\.1:\d+\)$/);
+  await sync.syncHistory({ ...options, projectDir: b.projectDir, historyDir: b.historyDir });
+
+  const key = `/team-bucket/infra/history/${encodeURIComponent(sync.getStoreName(PROJECT_ID))}`;
+  assert.deepEqual(s3.requests, [`GET ${key}`, `PUT ${key}`, `GET ${key}`, `PUT ${key}`]);
+  assert.deepEqual(scores(JSON.parse(s3.objects.get(key))), [7, 9]);
+  assert.deepEqual(scores(b.read()), [7, 9]);
+});
+
+test('an S3 store reports a rejected signature', async t => {
+  const root = tempDir(t);
+  const s3 = await s3StandIn(t);
+  withEnv(t, { ...CREDENTIALS, AWS_SECRET_ACCESS_KEY: 'wrong' });
+  const a = machine(root, 'a');
+  a.record('2024-05-01', 7);
+
+  const { results } = await sync.syncHistory({ store: 's3://team-bucket', endpoint: s3.endpoint, projectDir: a.projectDir, historyDir: a.historyDir });
+  assert.equal(results[0].action, 'error');
+  assert.match(results[0].reason, /^S3 GET .+ failed: HTTP 403 SignatureDoesNotMatch$/);
+  assert.equal(s3.objects.size, 0);
+});
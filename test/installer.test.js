@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const infraAudit = require('../lib');
+const { PATCHES_DIR_NAME } = require('../lib/installer');
+const { findOurHooks } = require('../lib/settings');
+const pkg = require('../package.json');
+const { tempDir, localTarget } = require('./helpers');
+
+// Installs also clean up the legacy ~/.claude cache — keep them off the real one
+process.env.HOME = tempDir(test);
+
+const PRISTINE_DIR = 'infra-audit-pristine';
+const FILE = 'commands/infra/audit.md';
+
+const read = (dir, rel) => fs.readFileSync(path.join(dir, rel), 'utf8');
+const write = (dir, rel, content) => fs.writeFileSync(path.join(dir, rel), content);
+const hash = content => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Make an install look like one of `version`: its manifest, infra/VERSION
+ * and their pristine copy — the next install is then an upgrade
+ */
+function ageInstall(configDir, version) {
+  const manifest = infraAudit.readManifest(configDir);
+  manifest.version = version;
+  manifest.files['infra/VERSION'] = hash(version);
+  write(configDir, 'infra/VERSION', version);
+  write(configDir, `${PRISTINE_DIR}/infra/VERSION`, version);
+  write(configDir, infraAudit.MANIFEST_NAME, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * An install of an older version, with FILE's first line as `pristineLine`
+ * in that version, and locally edited by `edit`
+ */
+function olderInstall(t, pristineLine, edit) {
+  const local = localTarget(t);
+  infraAudit.install(local.options);
+  ageInstall(local.configDir, '0.9.0');
+  local.upstream = read(local.configDir, FILE);
+  const [first, ...rest] = local.upstream.split('\n');
+  assert.equal(first, '---');
+  if (pristineLine) write(local.configDir, `${PRISTINE_DIR}/${FILE}`, [pristineLine, ...rest].join('\n'));
+  local.local = edit(local.upstream);
+  write(local.configDir, FILE, local.local);
+  return local;
+}
+
+const fileStatus = (result, rel) => result.files.find(f => f.file === rel).status;
+
+test('a fresh install writes every planned file, the hook and a manifest, and doctor finds it healthy', t => {
+  const { configDir, options } = localTarget(t);
+  const result = infraAudit.install(options);
+  assert.equal(result.previousVersion, null);
+  assert.ok(result.files.every(f => f.status === 'create'));
+  assert.deepEqual(result.patches, { backedUp: [], merged: [], conflicts: [], unmerged: [] });
+
+  const manifest = infraAudit.readManifest(options);
+  assert.equal(manifest.version, pkg.version);
+  assert.deepEqual(Object.keys(manifest.files).sort(), result.files.map(f => f.file).sort());
+  assert.equal(read(configDir, 'infra/VERSION'), pkg.version);
+  assert.deepEqual(findOurHooks(JSON.parse(read(configDir, 'settings.json'))).map(h => h.name), ['update-check']);
+  assert.equal(fs.readdirSync(configDir).filter(name => name.startsWith('.infra-audit-staging-')).length, 0);
+  assert.deepEqual(infraAudit.doctor(options), {
+    target: 'local',
+    config_dir: configDir,
+    version: pkg.version,
+    healthy: true,
+    problems: [],
+  });
+
+  // Reinstalling the same version changes nothing
+  assert.ok(infraAudit.install(options).files.every(f => f.status === 'unchanged'));
+});
+
+test('a local edit is merged with the upstream change and backed up', t => {
+  const { configDir, options, upstream } = olderInstall(t, '--- old', text => `${text}\nMy own note.\n`);
+  const result = infraAudit.install(options);
+  assert.equal(result.previousVersion, '0.9.0');
+  assert.equal(fileStatus(result, FILE), 'merged');
+  assert.deepEqual(result.patches, { backedUp: [FILE], merged: [FILE], conflicts: [], unmerged: [] });
+  assert.equal(read(configDir, FILE), `${upstream}\nMy own note.\n`);
+  assert.equal(read(configDir, `${PATCHES_DIR_NAME}/${FILE}`), `${upstream}\nMy own note.\n`);
+
+  const meta = JSON.parse(read(configDir, `${PATCHES_DIR_NAME}/backup-meta.json`));
+  assert.equal(meta.from_version, '0.9.0');
+  assert.equal(meta.to_version, pkg.version);
+  assert.deepEqual(meta.merged, [FILE]);
+
+  // Still locally modified against the new manifest, so the next upgrade merges it again
+  const doctor = infraAudit.doctor(options);
+  assert.equal(doctor.healthy, true);
+  assert.deepEqual(doctor.problems.map(p => p.message), [`Locally modified ${FILE} (kept — merged on upgrade)`]);
+});
+
+test('a local edit that conflicts with the upstream change is reported with markers and backed up', t => {
+  const { configDir, options, local } = olderInstall(t, '--- old', text => text.replace(/^---/, '--- mine'));
+  const result = infraAudit.install(options);
+  assert.equal(fileStatus(result, FILE), 'conflict');
+  assert.deepEqual(result.patches.conflicts, [{ file: FILE, hunks: 1 }]);
+  assert.deepEqual(result.patches.merged, []);
+  assert.ok(read(configDir, FILE).startsWith(`<<<<<<< local\n--- mine\n=======\n---\n>>>>>>> v${pkg.version}\n`));
+  assert.equal(read(configDir, `${PATCHES_DIR_NAME}/${FILE}`), local);
+  assert.deepEqual(JSON.parse(read(configDir, `${PATCHES_DIR_NAME}/backup-meta.json`)).conflicts, [{ file: FILE, hunks: 1 }]);
+});
+
+test('a local edit without a pristine copy to merge against is backed up and overwritten', t => {
+  const { configDir, options, upstream, local } = olderInstall(t, null, text => `${text}\nMy own note.\n`);
+  fs.rmSync(path.join(configDir, PRISTINE_DIR, FILE));
+  const result = infraAudit.install(options);
+  assert.equal(fileStatus(result, FILE), 'overwritten');
+  assert.deepEqual(result.patches, { backedUp: [FILE], merged: [], conflicts: [], unmerged: [FILE] });
+  assert.equal(read(configDir, FILE), upstream);
+  assert.equal(read(configDir, `${PATCHES_DIR_NAME}/${FILE}`), local);
+});
+
+test('rollback restores the version, manifest and settings the last install replaced', t => {
+  const { configDir, options } = localTarget(t);
+  infraAudit.install(options);
+  ageInstall(configDir, '0.9.0');
+  const before = {
+    manifest: read(configDir, infraAudit.MANIFEST_NAME),
+    settings: read(configDir, 'settings.json'),
+  };
+  infraAudit.install({ ...options, hooks: ['stale-audit'] });
+  assert.equal(infraAudit.readManifest(options).version, pkg.version);
+
+  const result = infraAudit.rollback(options);
+  assert.equal(result.restoredVersion, '0.9.0');
+  assert.equal(result.replacedVersion, pkg.version);
+  assert.ok(result.settingsBackup);
+  assert.equal(read(configDir, infraAudit.MANIFEST_NAME), before.manifest);
+  assert.equal(read(configDir, 'infra/VERSION'), '0.9.0');
+  assert.equal(read(configDir, `${PRISTINE_DIR}/infra/VERSION`), '0.9.0');
+  assert.equal(read(configDir, 'settings.json'), before.settings);
+  assert.equal(infraAudit.rollback(options), null);
+});
+
+test('rollback of a fresh install removes it', t => {
+  const { configDir, options } = localTarget(t);
+  infraAudit.install(options);
+  const result = infraAudit.rollback(options);
+  assert.equal(result.restoredVersion, null);
+  assert.equal(infraAudit.readManifest(options), null);
+  assert.ok(!fs.existsSync(path.join(configDir, FILE)));
+  assert.ok(!fs.existsSync(path.join(configDir, 'settings.json')));
+});
+
+test('a failure while swapping files in restores the previous install', t => {
+  const { configDir, options } = olderInstall(t, null, text => `${text}\nMy own note.\n`);
+  const before = new Map([FILE, 'infra/VERSION', 'settings.json', infraAudit.MANIFEST_NAME]
+    .map(rel => [rel, read(configDir, rel)]));
+
+  // The manifest is swapped in last — fail there, after everything else was replaced
+  const renameSync = fs.renameSync;
+  t.mock.method(fs, 'renameSync', (from, to) => {
+    if (to === path.join(configDir, infraAudit.MANIFEST_NAME)) throw new Error('disk full');
+    return renameSync(from, to);
+  });
+  assert.throws(() => infraAudit.install({ ...options, hooks: ['stale-audit'] }), error => {
+    assert.equal(error.message, 'disk full');
+    assert.deepEqual(error.backedUp, [FILE]);
+    return true;
+  });
+  t.mock.restoreAll();
+
+  for (const [rel, content] of before) assert.equal(read(configDir, rel), content);
+  assert.equal(read(configDir, `${PRISTINE_DIR}/infra/VERSION`), '0.9.0');
+  assert.equal(fs.readdirSync(configDir).filter(name => name.startsWith('.infra-audit-staging-')).length, 0);
+  // The rollback snapshot is still the one from before the failed install
+  assert.equal(JSON.parse(read(configDir, 'infra-audit-snapshot/snapshot.json')).replaced_by, pkg.version);
+  assert.equal(JSON.parse(read(configDir, 'infra-audit-snapshot/snapshot.json')).version, null);
+  assert.equal(infraAudit.install(options).previousVersion, '0.9.0');
+});
+
+test('uninstall removes the install but keeps locally modified files and other tools\' files', t => {
+  const { configDir, options } = localTarget(t);
+  infraAudit.install(options);
+  write(configDir, FILE, 'My own audit.\n');
+  write(configDir, 'commands/infra/mine.md', 'Not ours.\n');
+
+  const result = infraAudit.uninstall(options);
+  assert.equal(result.previousVersion, pkg.version);
+  assert.equal(result.archived.length, 1);
+  assert.equal(result.archived[0].path, FILE);
+  assert.equal(read(configDir, result.archived[0].archive), 'My own audit.\n');
+  assert.equal(read(configDir, 'commands/infra/mine.md'), 'Not ours.\n');
+  assert.equal(infraAudit.readManifest(options), null);
+  assert.ok(!fs.existsSync(path.join(configDir, 'infra/VERSION')));
+  assert.deepEqual(findOurHooks(JSON.parse(read(configDir, 'settings.json'))), []);
+});
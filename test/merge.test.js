@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitLines, matchLines, unifiedDiff } = require('../lib/diff');
+const { merge3 } = require('../lib/merge');
+
+const lines = (...items) => items.map(item => `${item}\n`).join('');
+
+test('splitLines keeps terminators and a final unterminated line', () => {
+  assert.deepEqual(splitLines('a\nb\nc'), ['a\n', 'b\n', 'c']);
+  assert.deepEqual(splitLines(''), []);
+});
+
+test('matchLines pairs the longest common subsequence', () => {
+  assert.deepEqual(matchLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd']), [[0, 0], [2, 2], [3, 3]]);
+  assert.deepEqual(matchLines(['a'], ['b']), []);
+});
+
+test('unifiedDiff is empty for identical text and marks changed lines', () => {
+  assert.equal(unifiedDiff(lines('a', 'b'), lines('a', 'b')), '');
+  const diff = unifiedDiff(lines('a', 'b', 'c'), lines('a', 'B', 'c'));
+  assert.match(diff, /^-b$/m);
+  assert.match(diff, /^\+B$/m);
+});
+
+test('merge3 takes a change made on one side only', () => {
+  const base = lines('one', 'two', 'three');
+  assert.deepEqual(merge3(base, lines('one', 'TWO', 'three'), base), { content: lines('one', 'TWO', 'three'), conflicts: 0 });
+  assert.deepEqual(merge3(base, base, lines('one', 'two', 'three', 'four')), { content: lines('one', 'two', 'three', 'four'), conflicts: 0 });
+});
+
+test('merge3 combines changes to different hunks', () => {
+  const base = lines('a', 'b', 'c', 'd', 'e');
+  const result = merge3(base, lines('A', 'b', 'c', 'd', 'e'), lines('a', 'b', 'c', 'd', 'E'));
+  assert.deepEqual(result, { content: lines('A', 'b', 'c', 'd', 'E'), conflicts: 0 });
+});
+
+test('merge3 accepts the same change made on both sides', () => {
+  const base = lines('a', 'b', 'c');
+  const both = lines('a', 'x', 'c');
+  assert.deepEqual(merge3(base, both, both), { content: both, conflicts: 0 });
+});
+
+test('merge3 writes conflicting hunks with labelled markers', () => {
+  const base = lines('a', 'b', 'c');
+  const result = merge3(base, lines('a', 'ours', 'c'), lines('a', 'theirs', 'c'), { ours: 'mine', theirs: 'v2' });
+  assert.equal(result.conflicts, 1);
+  assert.equal(result.content, lines('a', '<<<<<<< mine', 'ours', '=======', 'theirs', '>>>>>>> v2', 'c'));
+});
+
+test('merge3 starts conflict markers on their own line when a side lacks a final newline', () => {
+  const result = merge3('a\n', 'ours', 'theirs');
+  assert.equal(result.conflicts, 1);
+  assert.equal(result.content, lines('<<<<<<< local', 'ours', '=======', 'theirs', '>>>>>>> upstream'));
+});
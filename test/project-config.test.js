@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const projectConfig = require('../infra/scripts/project-config');
+const { validateSchema } = require('../infra/scripts/json-schema');
+const { tempDir } = require('./helpers');
+
+const PYPROJECT = `
+[project]
+name = "api"  # not ours
+
+[tool.ruff]
+line-length = 100
+
+[tool.infra-audit]
+target_score = 9.5   # comments after values
+areas = { docker = false, "pre-commit" = true }
+
+[[tool.infra-audit.suppress]]
+match = "no #hash in here"
+reason = 'Literal # kept'
+expires = 2030-01-01
+
+[[tool.infra-audit.suppress]]
+area = "ci"
+match = "coverage"
+reason = "Tracked in \\"INFRA-12\\""
+
+[tool.infra-audit.extra]
+list = [
+  1,
+  2_000,  # trailing comma
+]
+`;
+
+test('parsePyprojectTable reads only [tool.infra-audit], with inline and array tables', () => {
+  assert.deepEqual(projectConfig.parsePyprojectTable(PYPROJECT), {
+    target_score: 9.5,
+    areas: { docker: false, 'pre-commit': true },
+    suppress: [
+      { match: 'no #hash in here', reason: 'Literal # kept', expires: '2030-01-01' },
+      { area: 'ci', match: 'coverage', reason: 'Tracked in "INFRA-12"' },
+    ],
+    extra: { list: [1, 2000] },
+  });
+  assert.equal(projectConfig.parsePyprojectTable('[project]\nname = "api"\n'), null);
+});
+
+test('parsePyprojectTable reports the line of a problem', () => {
+  assert.throws(() => projectConfig.parsePyprojectTable('[tool.infra-audit]\ntarget_score = 9\ntarget_score = 8\n'), /line 3: duplicate key target_score/);
+  assert.throws(() => projectConfig.parsePyprojectTable('[tool.infra-audit]\nnote = """x"""\n'), /line 2: multi-line strings/);
+  assert.throws(() => projectConfig.parsePyprojectTable('[tool.infra-audit]\njust a line\n'), /line 2: expected key = value/);
+});
+
+test('validateSchema checks types, required keys, enums, patterns and extra properties', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      level: { enum: ['low', 'high'] },
+      day: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+      tags: { type: 'array', items: { type: 'string' } },
+      score: { type: 'number', minimum: 0, maximum: 10 },
+    },
+  };
+  assert.deepEqual(validateSchema({ name: 'x', level: 'low', day: '2024-01-01', tags: ['a'], score: 10 }, schema), []);
+  const errors = validateSchema({ level: 'mid', day: 'today', tags: [1], score: 11, other: true }, schema);
+  assert.equal(errors.length, 6);
+  for (const where of ['name', 'level', 'day', 'tags[0]', 'score', 'other']) {
+    assert.ok(errors.some(e => e.includes(where)), `no error for ${where}: ${errors.join('; ')}`);
+  }
+});
+
+test('validateProjectConfig rejects unknown areas and warns on expired suppressions', () => {
+  const config = {
+    areas: { dockr: false },
+    suppress: [{ match: 'old', reason: 'r', expires: '2024-01-01' }],
+  };
+  const { errors, warnings } = projectConfig.validateProjectConfig(config, '2024-06-01');
+  assert.deepEqual(errors, ['areas.dockr: unknown area (use ' + projectConfig.AREAS.join(', ') + ')']);
+  assert.deepEqual(warnings, ['suppress[0] ("old") expired on 2024-01-01']);
+});
+
+test('resolveProjectConfig prefers .infra-audit.json and reports the shadowed table', t => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'pyproject.toml'), PYPROJECT);
+
+  const fromToml = projectConfig.resolveProjectConfig(dir, '2024-06-01');
+  assert.equal(fromToml.file, 'pyproject.toml');
+  assert.deepEqual(fromToml.errors, ['extra: is not a known setting']);
+
+  fs.writeFileSync(path.join(dir, '.infra-audit.json'), JSON.stringify({ areas: { 'claude-md': false }, target_score: 8 }));
+  const resolved = projectConfig.resolveProjectConfig(dir, '2024-06-01');
+  assert.equal(resolved.file, '.infra-audit.json');
+  assert.deepEqual(resolved.disabled_areas, ['claude_md']);
+  assert.equal(resolved.target_score, 8);
+  assert.equal(resolved.warnings.length, 1);
+});
+
+test('applyProjectConfig overrides severities, suppresses matches and rescoring follows', () => {
+  const resolved = {
+    severity: [{ area: 'ruff', match: 'line length', severity: 'INFO' }],
+    suppress: [{ match: 'no dockerfile', reason: 'Library, not deployed' }],
+  };
+  const findings = [
+    { severity: 'WARNING', area: 'ruff', description: 'Line length not set' },
+    { severity: 'CRITICAL', area: 'docker', description: 'No Dockerfile' },
+    { severity: 'CRITICAL', area: 'ci', description: 'No CI' },
+  ];
+  const applied = projectConfig.applyProjectConfig(findings, resolved);
+  assert.equal(applied.changed, true);
+  assert.deepEqual(applied.findings.map(f => f.severity), ['INFO', 'CRITICAL']);
+  assert.equal(applied.findings[0].original_severity, 'WARNING');
+  assert.deepEqual(applied.suppressed.map(f => f.reason), ['Library, not deployed']);
+  assert.deepEqual(projectConfig.scoreFindings(applied.findings), { score: 8, critical: 1, warnings: 0, info: 1 });
+});
+
+test('describeScoring states the rules scoreFindings applies', () => {
+  assert.equal(projectConfig.describeScoring(), "-2 per critical, -0.5 per warning, info findings don't affect the score");
+});
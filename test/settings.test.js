@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const infraAudit = require('../lib');
+const { HOOK_MARKER, BACKUP_DIR_NAME, findOurHooks } = require('../lib/settings');
+const { tempDir, localTarget } = require('./helpers');
+
+// Installs also clean up the legacy ~/.claude cache — keep them off the real one
+process.env.HOME = tempDir(test);
+
+const UPDATE_CHECK = `node .claude/hooks/infra-check-update.js ${HOOK_MARKER}=update-check`;
+
+/**
+ * A local target whose settings.json holds `settings` (a string is written as is)
+ */
+function withSettings(t, settings) {
+  const local = localTarget(t);
+  fs.mkdirSync(local.configDir, { recursive: true });
+  local.settingsPath = path.join(local.configDir, 'settings.json');
+  fs.writeFileSync(local.settingsPath, typeof settings === 'string' ? settings : JSON.stringify(settings, null, 2) + '\n');
+  return local;
+}
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+const sessionStart = command => ({ SessionStart: [{ hooks: [{ type: 'command', command }] }] });
+
+test('install and uninstall refuse settings.json with comments, invalid JSON or no object', t => {
+  const cases = [
+    ['{\n  // mine\n  "model": "opus"\n}\n', /contains comments \(JSONC\)/],
+    ['{ "model": "opus", }\n', /is not valid JSON/],
+    ['["model"]\n', /must contain a JSON object/],
+  ];
+  for (const [text, message] of cases) {
+    const { configDir, settingsPath, options } = withSettings(t, text);
+    assert.throws(() => infraAudit.install(options), message);
+    assert.throws(() => infraAudit.uninstall(options), message);
+    assert.equal(fs.readFileSync(settingsPath, 'utf8'), text);
+    assert.deepEqual(fs.readdirSync(configDir), ['settings.json']);
+  }
+});
+
+test('comment-like text inside JSON strings is not JSONC', t => {
+  const { settingsPath, options } = withSettings(t, { statusLine: 'https://example.com/* not a comment' });
+  infraAudit.install(options);
+  assert.equal(readJson(settingsPath).statusLine, 'https://example.com/* not a comment');
+});
+
+test('install keeps other settings and their indentation', t => {
+  const { settingsPath, options } = withSettings(t, '{\n    "model": "opus"\n}\n');
+  const result = infraAudit.install(options);
+  assert.deepEqual(result.hooks.added, ['update-check']);
+  assert.ok(result.hooks.backup.startsWith(path.dirname(settingsPath)));
+  const text = fs.readFileSync(settingsPath, 'utf8');
+  assert.match(text, /^ {4}"model": "opus",$/m);
+  assert.deepEqual(findOurHooks(JSON.parse(text)), [{ name: 'update-check', event: 'SessionStart', command: UPDATE_CHECK }]);
+});
+
+test('a legacy unmarked update check hook is replaced by the marked one', t => {
+  const { settingsPath, options } = withSettings(t, { hooks: sessionStart('node .claude/hooks/infra-check-update.js') });
+  const result = infraAudit.install(options);
+  assert.deepEqual(result.hooks.removed, ['update-check']);
+  assert.deepEqual(result.hooks.added, ['update-check']);
+  assert.deepEqual(readJson(settingsPath).hooks, sessionStart(UPDATE_CHECK));
+  assert.equal(infraAudit.doctor(options).healthy, true);
+});
+
+test('uninstall leaves hooks that only look like ours', t => {
+  const custom = [
+    'node .claude/hooks/infra-check-update-custom.js',
+    'node .claude/hooks/infra-check-update.js --verbose',
+    'node scripts/infra-check-update.js.bak',
+  ];
+  const { settingsPath, options } = withSettings(t, {
+    hooks: { SessionStart: [{ hooks: custom.map(command => ({ type: 'command', command })) }] },
+  });
+  infraAudit.install(options);
+  assert.equal(findOurHooks(readJson(settingsPath)).length, 1);
+
+  const result = infraAudit.uninstall(options);
+  assert.deepEqual(result.removed.filter(r => r.kind === 'hook').map(r => r.name), ['update-check']);
+  assert.deepEqual(readJson(settingsPath).hooks.SessionStart[0].hooks.map(h => h.command), custom);
+  assert.equal(readJson(settingsPath).hooks.SessionStart.length, 1);
+});
+
+test('uninstall removes the hooks object it emptied', t => {
+  const { settingsPath, options } = withSettings(t, { model: 'opus' });
+  infraAudit.install({ ...options, hooks: ['stale-audit', 'infra-edits'] });
+  assert.deepEqual(findOurHooks(readJson(settingsPath)).map(h => h.name).sort(), ['infra-edits', 'stale-audit', 'update-check']);
+  infraAudit.uninstall(options);
+  assert.deepEqual(readJson(settingsPath), { model: 'opus' });
+});
+
+test('settings.json is backed up before each change, keeping the newest 10', t => {
+  const { configDir, settingsPath, options } = withSettings(t, { model: 'opus' });
+  const backups = [];
+  for (let i = 0; i < 12; i++) {
+    backups.push(infraAudit.install({ ...options, hooks: i % 2 ? [] : ['score-banner'] }).hooks.backup);
+  }
+  const backupDir = path.join(configDir, BACKUP_DIR_NAME);
+  assert.equal(new Set(backups).size, 12);
+  assert.deepEqual(fs.readdirSync(backupDir).map(name => path.join(backupDir, name)).sort(), backups.slice(-10).sort());
+  assert.ok(!fs.existsSync(backups[0]));
+  assert.deepEqual(findOurHooks(readJson(backups[11])).map(h => h.name), ['update-check', 'score-banner']);
+
+  // An install that changes nothing doesn't back up or rewrite settings.json
+  const before = fs.readFileSync(settingsPath, 'utf8');
+  assert.equal(infraAudit.install({ ...options, hooks: [] }).hooks.backup, null);
+  assert.equal(fs.readFileSync(settingsPath, 'utf8'), before);
+  assert.equal(fs.readdirSync(backupDir).length, 10);
+});
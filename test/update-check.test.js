@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { parseVersion, compareVersions, parseRange, satisfies } = require('../hooks/infra-audit-semver');
+const { createTar } = require('../lib/bundle');
+const { tempDir } = require('./helpers');
+
+const HOOK = path.join(__dirname, '..', 'hooks', 'infra-check-update.js');
+
+test('compareVersions orders by semver precedence, pre-releases first', () => {
+  const sorted = ['1.10.0', '1.2.0', '1.2.0-beta.2', '1.2.0-beta.10', '1.2.0-alpha', '0.9.9'].sort(compareVersions);
+  assert.deepEqual(sorted, ['0.9.9', '1.2.0-alpha', '1.2.0-beta.2', '1.2.0-beta.10', '1.2.0', '1.10.0']);
+  assert.equal(compareVersions('v1.0.0+build.5', '1.0.0'), 0);
+});
+
+test('parseVersion rejects anything but full versions', () => {
+  assert.equal(parseVersion('1.2'), null);
+  assert.equal(parseVersion('latest'), null);
+  assert.deepEqual(parseVersion('2.0.0-rc.1'), { release: [2, 0, 0], prerelease: ['rc', '1'] });
+});
+
+test('satisfies handles caret, tilde, x-ranges, comparators and alternatives', () => {
+  assert.ok(satisfies('1.4.2', '^1.2'));
+  assert.ok(!satisfies('2.0.0', '^1.2'));
+  assert.ok(!satisfies('2.0.0-beta.1', '^1.2'));
+  assert.ok(satisfies('1.2.9', '~1.2.3'));
+  assert.ok(!satisfies('1.3.0', '~1.2.3'));
+  assert.ok(satisfies('1.7.0', '1.x'));
+  assert.ok(satisfies('1.5.0', '>=1.2.0 <2'));
+  assert.ok(satisfies('3.0.0', '^1.0.0 || >=3'));
+  assert.equal(parseRange('1.x.3'), null);
+  assert.throws(() => satisfies('1.0.0', 'not a range'), /Invalid version range/);
+});
+
+/**
+ * A config directory with the update check hook installed at `installed`
+ * and `config` as its infra-audit-config.json
+ */
+function hookInstall(t, installed, config) {
+  const root = tempDir(t);
+  const configDir = path.join(root, '.claude');
+  fs.mkdirSync(path.join(configDir, 'hooks'), { recursive: true });
+  fs.mkdirSync(path.join(configDir, 'infra'), { recursive: true });
+  for (const name of ['infra-check-update.js', 'infra-audit-semver.js']) {
+    fs.copyFileSync(path.join(path.dirname(HOOK), name), path.join(configDir, 'hooks', name));
+  }
+  fs.writeFileSync(path.join(configDir, 'infra', 'VERSION'), installed);
+  fs.writeFileSync(path.join(configDir, 'infra-audit-config.json'), JSON.stringify(config));
+  return { root, configDir };
+}
+
+/**
+ * Run the hook's background check (asynchronously, so a registry in this
+ * process can answer it) and return the cache it wrote
+ */
+async function runCheck({ root, configDir }, env = {}) {
+  await execFile(process.execPath, [path.join(configDir, 'hooks', 'infra-check-update.js'), '--check'], {
+    cwd: root,
+    env: { ...process.env, HOME: root, CLAUDE_CONFIG_DIR: '', ...env },
+    timeout: 30000,
+  });
+  return JSON.parse(fs.readFileSync(path.join(configDir, 'cache', 'infra-audit-update-check.json'), 'utf8'));
+}
+
+/**
+ * A release tarball holding just a changelog entry for `version`
+ */
+function releaseTarball(version) {
+  const changelog = `# Changelog\n\n## ${version}\n\n- Change in ${version}\n`;
+  return createTar([{ name: 'package/CHANGELOG.md', content: Buffer.from(changelog), mode: 0o644 }], 0);
+}
+
+/**
+ * Run the hook's background check against a mirror directory and return
+ * the cache it wrote
+ */
+function checkMirror(t, installed, mirrorVersions, config = {}) {
+  const install = hookInstall(t, installed, { updateCheck: { mirror: '../mirror' }, ...config });
+  fs.mkdirSync(path.join(install.root, 'mirror'));
+  for (const version of mirrorVersions) {
+    fs.writeFileSync(path.join(install.root, 'mirror', `python-infra-audit-cc-${version}.tgz`), releaseTarball(version));
+  }
+  return runCheck(install);
+}
+
+test('update check offers the newest stable mirror release with its changelog', async t => {
+  const cache = await checkMirror(t, '1.0.0', ['1.0.0', '1.1.0', '1.2.0-beta.1']);
+  assert.equal(cache.latest, '1.1.0');
+  assert.equal(cache.update_available, true);
+  assert.deepEqual(cache.highlights, ['Change in 1.1.0']);
+});
+
+test('update check does not offer an older release to a newer local build', async t => {
+  const cache = await checkMirror(t, '1.3.0-dev.1', ['1.1.0', '1.2.0']);
+  assert.equal(cache.latest, '1.2.0');
+  assert.equal(cache.update_available, false);
+});
+
+test('update check honours the next channel and a pin', async t => {
+  assert.equal((await checkMirror(t, '1.0.0', ['1.1.0', '1.2.0-beta.1'], { channel: 'next' })).latest, '1.2.0-beta.1');
+  assert.equal((await checkMirror(t, '1.0.0', ['1.0.1', '1.1.0', '2.0.0'], { pin: '~1.0' })).latest, '1.0.1');
+});
+
+/**
+ * A stand-in npm registry on localhost serving the package document for
+ * `versions` with `distTags`, and their tarballs. Every request path is
+ * recorded in `requests`; set `status` to answer everything with an error.
+ */
+async function standInRegistry(t, versions, distTags) {
+  const registry = { requests: [], status: 200 };
+  const server = http.createServer((req, res) => {
+    registry.requests.push(req.url);
+    const tarball = req.url.match(/^\/tarballs\/(.+)\.tgz$/);
+    if (registry.status !== 200 || !(req.url === '/python-infra-audit-cc' || (tarball && versions.includes(tarball[1])))) {
+      res.writeHead(registry.status === 200 ? 404 : registry.status);
+      res.end();
+    } else if (tarball) {
+      res.end(releaseTarball(tarball[1]));
+    } else {
+      const doc = { name: 'python-infra-audit-cc', 'dist-tags': distTags, versions: {} };
+      for (const version of versions) {
+        doc.versions[version] = { version, dist: { tarball: `${registry.url}/tarballs/${version}.tgz` } };
+      }
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(doc));
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  registry.url = `http://127.0.0.1:${server.address().port}`;
+  return registry;
+}
+
+const RELEASES = ['1.0.0', '1.1.0', '1.2.0-beta.1', '2.0.0-rc.1'];
+const DIST_TAGS = { latest: '1.1.0', next: '2.0.0-rc.1', beta: '1.2.0-beta.1' };
+
+test('update check follows the registry dist-tag of its channel, with the changelog from its tarball', async t => {
+  const registry = await standInRegistry(t, RELEASES, DIST_TAGS);
+  const latest = await runCheck(hookInstall(t, '1.0.0', { updateCheck: { registry: `${registry.url}/` } }));
+  assert.equal(latest.source, `${registry.url}/`);
+  assert.equal(latest.latest, '1.1.0');
+  assert.equal(latest.update_available, true);
+  assert.deepEqual(latest.highlights, ['Change in 1.1.0']);
+  assert.equal(latest.error, undefined);
+  assert.deepEqual(registry.requests, ['/python-infra-audit-cc', '/tarballs/1.1.0.tgz']);
+
+  const next = await runCheck(hookInstall(t, '1.0.0', { updateCheck: { registry: registry.url }, channel: 'next' }));
+  assert.equal(next.latest, '2.0.0-rc.1');
+  assert.equal(next.channel, 'next');
+
+  const pinned = await runCheck(hookInstall(t, '1.0.0', { updateCheck: { registry: registry.url }, channel: 'next', pin: '~1.2.0-0' }));
+  assert.equal(pinned.latest, '1.2.0-beta.1');
+
+  const missing = await runCheck(hookInstall(t, '1.0.0', { updateCheck: { registry: registry.url }, channel: 'canary' }));
+  assert.equal(missing.latest, null);
+  assert.equal(missing.error, 'no release on the "canary" channel');
+});
+
+test('update check uses npm_config_registry when the config names no registry', async t => {
+  const registry = await standInRegistry(t, RELEASES, DIST_TAGS);
+  const cache = await runCheck(hookInstall(t, '1.1.0', {}), { npm_config_registry: registry.url });
+  assert.equal(cache.source, registry.url);
+  assert.equal(cache.latest, '1.1.0');
+  assert.equal(cache.update_available, false);
+  assert.deepEqual(registry.requests, ['/python-infra-audit-cc']);
+});
+
+test('update check stores a registry HTTP error, keeping the last release it found', async t => {
+  const registry = await standInRegistry(t, RELEASES, DIST_TAGS);
+  registry.status = 503;
+  const failed = await runCheck(hookInstall(t, '1.0.0', { updateCheck: { registry: registry.url } }));
+  assert.equal(failed.error, `HTTP 503 from ${registry.url}/python-infra-audit-cc`);
+  assert.equal(failed.latest, null);
+  assert.equal(failed.update_available, false);
+
+  // A failure after a successful check keeps its result (intervalHours 0 rechecks every time)
+  const install = hookInstall(t, '1.0.0', { updateCheck: { registry: registry.url, intervalHours: 0 } });
+  registry.status = 200;
+  assert.equal((await runCheck(install)).error, undefined);
+  registry.status = 500;
+  const kept = await runCheck(install);
+  assert.equal(kept.error, `HTTP 500 from ${registry.url}/python-infra-audit-cc`);
+  assert.equal(kept.latest, '1.1.0');
+  assert.equal(kept.update_available, true);
+  assert.deepEqual(kept.highlights, ['Change in 1.1.0']);
+});
+
+test('update check skips the registry within the interval unless the policy changed', async t => {
+  const registry = await standInRegistry(t, RELEASES, DIST_TAGS);
+  const install = hookInstall(t, '1.1.0', { updateCheck: { registry: registry.url } });
+  const first = await runCheck(install);
+  assert.equal(registry.requests.length, 1);
+
+  assert.deepEqual(await runCheck(install), first);
+  assert.equal(registry.requests.length, 1);
+
+  fs.writeFileSync(path.join(install.configDir, 'infra-audit-config.json'), JSON.stringify({
+    updateCheck: { registry: registry.url },
+    channel: 'next',
+  }));
+  assert.equal((await runCheck(install)).latest, '2.0.0-rc.1');
+  assert.equal(registry.requests.filter(url => url === '/python-infra-audit-cc').length, 2);
+});